@@ -96,17 +96,27 @@
 //   - Being able to switch the decks independently is very confusing as you easily lose
 //     track of which side of the controller manages which deck.
 //     You can set always_toggle_both to true to simplify this somewhat.
-//   - Long-press loop-in for an instant 4-beat-loop currently requires
-//     merging of PR #4491. You can use this mapping without the PR by commenting the line
-//           engine.setValue(group, 'beatloop_keep_loopin', 4);
-//     in the function PioneerDDJ400.loop_in_long (The long-press 4-beat feature will
-//     not work then).
+//   - Long-press loop-in for an instant 4-beat-loop uses beatloop_keep_loopin from
+//     PR #4491 if Mixxx has it. Otherwise, the script sets the loop out point 4 beats after
+//     the loop in point itself (from file_bpm and track_samplerate, or from beat_distance if
+//     there is no loop in point).
+//
+// Settings:
+//   - The constants in user_settings are read from the controller preferences at init
+//     (Mixxx 2.4 and later). Missing or invalid settings keep the constant.
 //
 // Features:
 //   - Decks are switched by double-pressing the shift button. Only the deck on the side
 //     of the shift button is switched unless always_toggle_both = true (default false).
 //     This can lead to accidental deck swapping, which is difficult to notice, so it can
 //     be disabled by setting the variable 'enable_double_press_deck_swap' to false.
+//   - After a deck switch, the pads flash N times for deck N (flash_deck_on_switch).
+//   - Shift + load selects the deck of its side with pads 1-4. The deck of the other side
+//     can not be selected.
+//   - The mixer section follows the switched deck unless mixer_follows_deck is false.
+//   - The tempo faders use soft takeover. Play/cue blink while the fader has to be moved
+//     down/up to pick up the tempo of the deck (tempo_pickup_threshold).
+//   - On startup, the knob and fader positions are requested from the controller.
 //   - The decks can alternatively be switched via the beatjump + shift + first pad.
 //     The first pad is lit when pressing shift in beatjump mode if the channel is
 //     currently associated with the main deck for this channel.
@@ -119,59 +129,120 @@
 //     The pads are lit if further decrease/increase is possible (currently only one scaling
 //     step in either direction is allowed, this gives a range from 1/16 to 512
 //     which *should* be enough for most people).
+//   - Beatjump + shift + 3rd pad cycles through the beatjump_layouts of the deck.
+//   - Beatloop sizes are scaled with beatjump + shift + 5th/6th pad. Beatloop + shift + pad
+//     holds a loop roll.
 //   - Quantize can be toggled with shift+headphone cue. Pressing shift highlights those
 //     buttons according to the deck's quantize state.
+//   - Shift + pad 1 in PAD FX 1 toggles the vinyl mode of the deck (default vinyl_mode).
+//   - Shift + pad 2 in PAD FX 1 toggles the slip mode of the deck for scratching and reloop
+//     loops.
 //   - Vinly break is implemented as pad 1 in PAD FX 1. The break speed can be adjusted via
 //     brake_speed (default 20), higher values = faster braking.
-//   - Loop in/out adjust works by just pressing the in/out buttons while a loop is active.
-//     Adjustment is performed by rotating the jogwheel. Loop adjust mode exits automatically
-//     when switching decks on the controller channel where loop adjust is in use. To normally
-//     exit loop in or out adjust, just press in or out again, respectively.
+//   - The other PAD FX 1 pads run timed macros (see 'times').
+//   - Loop in/out adjust works by just pressing the in/out buttons (or shift + in/out) while
+//     a loop is active. Adjustment is performed by rotating the jogwheel. Loop adjust mode
+//     exits automatically when switching decks on the controller channel where loop adjust is
+//     in use. To normally exit loop in or out adjust, just press in or out again, respectively.
+//     With quantize on, the loop points snap to the beat grid (loop_adjust_beats).
+//   - Shift + reloop toggles loop move while a loop is active.
 //   - Effects are selected by the FX SELECT button (next effect, +SHIFT previous effect).
 //     Effects are cycled using the beat </> buttons. The active effect unit is determined by
 //     the deck whose shift button was last pressed.
-//   - When not in a loop, an instant 4-beat-loop/8-beat-loop is started when pressing the
-//     cue/loop left/right buttons respectively. Since Mixxx does not have a UI for saved
-//     loops at this point, it does not make sense to use these buttons to jump between saved
-//     loops. Feel free to adjust it if you do not like this mapping ;)
+//   - When not in a loop, the cue/loop left/right buttons jump to the previous/next saved
+//     loop, or start an instant 4-beat-loop/8-beat-loop if there is none.
 //   - When in a loop, pressing the cue/loop left/right buttons halves/doubles the size of
 //     the currently active loop.
+//   - Shift + cue/loop left/right save/delete a saved loop, or jump quick_jump_size beats
+//     when not in a loop.
+//   - Holding shift + pads 1-4 in HOT CUE mode selects the hot cue page of the deck, the
+//     pad of the page lights up for a moment. A short shift + pad deletes the hot cue.
+//   - KEYBOARD mode plays the hot cue selected with shift + pad (of the hot cue page) at
+//     keyboard_semitones.
+//   - KEY SHIFT mode transposes the deck by key_shift_semitones. Shift + pad 8 taps the tempo.
+//   - Shift + browse rotate switches the sampler bank.
+//   - While a sampler pad is held, the jog wheel changes its pregain (+ shift its rate).
+//   - PAD FX2 mode holds beat loop rolls (beatroll_sizes, + shift beatroll_triplet_sizes).
+//   - Setting record_session to true logs the incoming messages for
+//     tools/replay-session.js.
 
 var PioneerDDJ400 = {};
 
 PioneerDDJ400.constants = {
     default_effect_unit: [1, 1, 2, 2],
     primary_deck: [0, 1],
-    sampler_groups: [
-        ['[Sampler1]', '[Sampler2]', '[Sampler3]', '[Sampler4]', '[Sampler5]', '[Sampler6]', '[Sampler7]', '[Sampler8]',],
-        ['[Sampler9]', '[Sampler10]', '[Sampler11]', '[Sampler12]', '[Sampler13]', '[Sampler14]', '[Sampler15]', '[Sampler16]',],
-        ['[Sampler1]', '[Sampler2]', '[Sampler3]', '[Sampler4]', '[Sampler5]', '[Sampler6]', '[Sampler7]', '[Sampler8]',],
-        ['[Sampler9]', '[Sampler10]', '[Sampler11]', '[Sampler12]', '[Sampler13]', '[Sampler14]', '[Sampler15]', '[Sampler16]',],
+    mixer_follows_deck: true,
+    sampler_numbers: [
+        [1, 2, 3, 4, 5, 6, 7, 8],
+        [9, 10, 11, 12, 13, 14, 15, 16],
+        [1, 2, 3, 4, 5, 6, 7, 8],
+        [9, 10, 11, 12, 13, 14, 15, 16],
     ],
+    sampler_bank_size: 16,
+    sampler_jog_pregain_step: 1 / 720,
+    sampler_jog_rate_step: 1 / 1440,
     loop_adjust_multiply: 50,
+    loop_adjust_beats: 1 / 4,
+    loop_adjust_ticks_per_step: 8,
+    loop_move_ticks_per_step: 32,
     always_toggle_both: false,
     backspin_length: 0x20, /* This is a setting sent to the controller. 0x00 is short, 0x10 is normal, 0x20 is long. */
     brake_speed: 20,
+    soft_start_factor: 1.0,
+    echo_effect_slot: 1, /* Echo out enables this effect of the deck's unit, it has to be loaded with an Echo. */
+    filter_sweep_lowpass: 0.1,
+    filter_sweep_highpass: 0.9,
     bend_scale: 0.8,
     fast_seek_scale: 150,
     vinyl_mode: true,
     jog_alpha: 1.0 / 8,
-    jog_beta: (1.0 / 8) / 64,
+    jog_beta: (1.0 / 8) / 64, /* jog_alpha / 64, derived again from the setting at init. */
     tempo_range: [0.06, 0.1, 0.16, 0.25],
+    tempo_pickup_threshold: 0.02,
     beatloop_sizes: [0.25, 0.5, 1, 2, 4, 8, 16, 32],
-    beatjump_sizes: [-1, 1, -2, 2, -4, 4, -8, 8],
+    beatloop_scalefac: 16,
+    beatloop_min_size: 0.03125,
+    beatloop_max_size: 512,
+    beatroll_sizes: [0.03125, 0.0625, 0.125, 0.25, 0.5, 1, 2, 4],
+    // beatloop_size does not go below 1/32, so the triplets start at 1/24
+    beatroll_triplet_sizes: [1 / 24, 1 / 12, 1 / 6, 1 / 3, 2 / 3, 4 / 3, 8 / 3, 16 / 3],
+    keyboard_semitones: [-3, -2, -1, 0, 1, 2, 3, 4],
+    key_shift_semitones: [-3, -2, -1, 0, 1, 2, 3, 4],
+    beatjump_layouts: [
+        { name: 'symmetric', sizes: [-1, 1, -2, 2, -4, 4, -8, 8] },
+        { name: 'forward', sizes: [1, 2, 4, 8, 16, 32, 64, 128] },
+        { name: 'phrase', sizes: [-16, 16, -32, 32, -64, 64, -128, 128] },
+    ],
     beatjump_scalefac: 16,
     quick_jump_size: 32,
+    num_hotcues: 36,
+    hotcue_pages: 4, /* Held shift + pads 1-4 in HOT CUE mode, at most 8 (num_hotcues / 8 rounded up). */
+    saved_loop_cue_type: 4,
     enable_double_press_deck_swap: false,
+    flash_deck_on_switch: true,
+    record_session: false,
     times: {
         loop_active: 500,
         loop_adjust: 250,
         double_press: 290,
+        fx1_step: 50,
+        spinback: 800,
+        soft_start: 1000,
+        echo_out: 2000,
+        echo_tail: 4000,
+        filter_sweep: 4000,
+        sampler_bank_display: 1000,
+        deck_flash: 150,
+        tempo_pickup: 250,
+        beatjump_layout: 500,
+        hotcue_page_hold: 500,
+        hotcue_page_display: 1000,
     },
     loop_modifiers: {
         none: 0,
         adjust_in: 1,
         adjust_out: 2,
+        move: 3,
     },
     lights: {
         vu_meter: {
@@ -283,9 +354,36 @@ PioneerDDJ400.constants = {
         backspin_length: {
             status: 0xBF,
             data1: 0x45,
-        }
+        },
+        /* Makes the controller send the positions of all knobs and faders. */
+        query_control_positions: [0xF0, 0x00, 0x40, 0x05, 0x00, 0x00, 0x02, 0x06, 0x00, 0x03, 0x01, 0xF7],
+    },
+    /* MSBs of the 14 bit controls until the controller has sent them (knobs centered, volume down). */
+    initial_msb: {
+        volumeMSB: 0x00,
+        mix_trim_msb: 0x40,
+        mix_low_msb: 0x40,
+        mix_mid_msb: 0x40,
+        mix_hi_msb: 0x40,
+        effect_super1_msb: 0x40,
+        tempoSliderMSB: 0x40,
+    },
+    /* Constants that can be changed in the controller preferences (<settings> in the XML). */
+    user_settings: {
+        always_toggle_both: { type: 'boolean' },
+        enable_double_press_deck_swap: { type: 'boolean' },
+        flash_deck_on_switch: { type: 'boolean' },
+        mixer_follows_deck: { type: 'boolean' },
+        vinyl_mode: { type: 'boolean' },
+        jog_alpha: { type: 'number', min: 0.02, max: 1 },
+        bend_scale: { type: 'number', min: 0.1, max: 4 },
+        fast_seek_scale: { type: 'number', min: 10, max: 1000 },
+        loop_adjust_beats: { type: 'enum', values: { '1/16': 1 / 16, '1/8': 1 / 8, '1/4': 1 / 4, '1/2': 1 / 2, '1': 1 } },
+        brake_speed: { type: 'number', min: 1, max: 100 },
+        backspin_length: { type: 'enum', values: { short: 0x00, normal: 0x10, long: 0x20 } },
     },
     output_control_to_function: {},
+    mixer_output_control_to_function: {},
 };
 
 PioneerDDJ400.state = {
@@ -296,9 +394,48 @@ PioneerDDJ400.state = {
     deck: [{}, {}, {}, {}],
     persistent_connections: {},
     last_shift_button_pressed: 0,
+    beat_fx_msb: 0,
+    has_beatloop_keep_loopin: undefined,
+    sampler_bank: 0,
 };
 
 PioneerDDJ400.internal = {
+    // user settings
+    apply_user_settings: function () {
+        // Mixxx before 2.4 has no controller settings, the constants are used as they are.
+        if (typeof engine.getSetting !== 'function') {
+            return;
+        }
+
+        const cst = PioneerDDJ400.constants;
+        for (var name in cst.user_settings) {
+            const value = PioneerDDJ400.internal.get_user_setting(name, cst.user_settings[name]);
+            if (value !== undefined) {
+                cst[name] = value;
+            }
+        }
+        cst.jog_beta = cst.jog_alpha / 64;
+    },
+    get_user_setting: function (name, setting) {
+        // Returns undefined to keep the default of the constant.
+        const value = engine.getSetting(name);
+        if (value === undefined || value === null) {
+            return undefined;
+        }
+
+        if (setting.type == 'boolean' && typeof value == 'boolean') {
+            return value;
+        }
+        if (setting.type == 'number' && typeof value == 'number' && value >= setting.min && value <= setting.max) {
+            return value;
+        }
+        if (setting.type == 'enum' && setting.values[value] !== undefined) {
+            return setting.values[value];
+        }
+
+        print('Ignoring invalid setting ' + name + ' = ' + value + ', keeping ' + PioneerDDJ400.constants[name] + '.');
+        return undefined;
+    },
     // helpers
     group_to_channel: function (group) {
         return PioneerDDJ400.internal.deck_to_channel(PioneerDDJ400.internal.group_to_deck(group));
@@ -344,13 +481,46 @@ PioneerDDJ400.internal = {
         print('Warning: called deck_to_channel(' + deck + ') but deck not active?!');
         return 0;
     },
+    channel_to_mixer_group: function (channel) {
+        // The mixer section controls the channel's deck or always the primary deck.
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        if (cst.mixer_follows_deck) {
+            return it.channel_to_group(channel);
+        }
+        return it.deck_to_group(cst.primary_deck[channel]);
+    },
+    mixer_group_to_channel: function (group) {
+        // Returns null if no mixer channel shows the group.
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const deck = it.group_to_deck(group);
+        if (cst.mixer_follows_deck) {
+            return it.is_deck_active(deck) ? it.deck_to_channel(deck) : null;
+        }
+        const channel = cst.primary_deck.indexOf(deck);
+        return channel >= 0 ? channel : null;
+    },
     get_num_decks: function () {
         return engine.getValue('[Master]', 'num_decks');
     },
-    next_deck: function (_channel, old_deck) {
+    next_deck: function (channel, old_deck) {
+        // The alternate deck (1 <-> 3, 2 <-> 4) unless the other channel has it,
+        // then the next deck that is free.
         const it = PioneerDDJ400.internal;
         var num_decks = it.get_num_decks();
-        return (old_deck + 2) % num_decks;
+        for (var i = 0; i < num_decks; i++) {
+            var deck = (old_deck + 2 + i) % num_decks;
+            if (deck != old_deck && it.is_deck_free(channel, deck)) {
+                return deck;
+            }
+        }
+        return old_deck;
+    },
+    is_deck_free: function (channel, deck) {
+        // a deck can only be assigned to one channel at a time
+        return deck < PioneerDDJ400.internal.get_num_decks() &&
+            PioneerDDJ400.state.channel_mapping[1 - channel] != deck;
     },
     is_deck_active: function (deck) {
         return PioneerDDJ400.state.channel_mapping[0] == deck ||
@@ -370,9 +540,18 @@ PioneerDDJ400.internal = {
         const cmd = PioneerDDJ400.constants.controller_settings.backspin_length;
         midi.sendShortMsg(cmd.status, cmd.data1, length);
     },
+    query_control_positions: function () {
+        const msg = PioneerDDJ400.constants.controller_settings.query_control_positions;
+        midi.sendSysexMsg(msg, msg.length);
+    },
     vu_meter_update: function (value, group) {
+        const channel = PioneerDDJ400.internal.mixer_group_to_channel(group);
+        if (channel === null) {
+            return;
+        }
+
         var scaled_value = value * 130;
-        midi.sendShortMsg(PioneerDDJ400.constants.lights.vu_meter.status + PioneerDDJ400.internal.group_to_channel(group),
+        midi.sendShortMsg(PioneerDDJ400.constants.lights.vu_meter.status + channel,
             PioneerDDJ400.constants.lights.vu_meter.data1,
             scaled_value);
     },
@@ -406,7 +585,12 @@ PioneerDDJ400.internal = {
         PioneerDDJ400.internal.update_indicator(value, group, PioneerDDJ400.constants.lights.shift_beatsync, false);
     },
     headphone_cue_update: function (value, group) {
-        PioneerDDJ400.internal.update_indicator(value, group, PioneerDDJ400.constants.lights.headphone_cue, false);
+        const channel = PioneerDDJ400.internal.mixer_group_to_channel(group);
+        if (channel === null) {
+            return;
+        }
+
+        PioneerDDJ400.internal.update_light(channel, PioneerDDJ400.constants.lights.headphone_cue, value);
     },
     quantize_update: function (value, group) {
         PioneerDDJ400.internal.update_indicator(value, group, PioneerDDJ400.constants.lights.shift_headphone_cue, false);
@@ -506,12 +690,34 @@ PioneerDDJ400.internal = {
                 });
                 PioneerDDJ400.state.channel[channel].current_loop_modifier = cst.loop_modifiers.adjust_out;
                 break;
+            case cst.loop_modifiers.move:
+                if (cur_loop_mod == cst.loop_modifiers.move && timer_present) {
+                    return;
+                }
+                stop_blink();
+                // in and out blink alternately
+                PioneerDDJ400.state.timers[channel][timer_id] = engine.beginTimer(cst.times.loop_adjust, function () {
+                    blink_state = !blink_state;
+                    it.update_light(channel, cst.lights.loop_in, blink_state);
+                    it.update_light(channel, cst.lights.shift_loop_in, blink_state);
+                    it.update_light(channel, cst.lights.loop_out, !blink_state);
+                    it.update_light(channel, cst.lights.shift_loop_out, !blink_state);
+                });
+                it.update_light(channel, cst.lights.loop_in, false);
+                it.update_light(channel, cst.lights.shift_loop_in, false);
+                it.update_light(channel, cst.lights.loop_out, true);
+                it.update_light(channel, cst.lights.shift_loop_out, true);
+                PioneerDDJ400.state.channel[channel].current_loop_modifier = cst.loop_modifiers.move;
+                break;
         };
     },
     set_loop_enabled: function (value, group) {
         const it = PioneerDDJ400.internal;
         var deck = it.group_to_deck(group);
         it.set_loop_adjust_state(deck, PioneerDDJ400.constants.loop_modifiers.none);
+        if (!value) {
+            it.end_slip(deck, 'loop');
+        }
 
         if (it.is_group_active(group)) {
             var channel = it.group_to_channel(group);
@@ -525,44 +731,324 @@ PioneerDDJ400.internal = {
             it.update_loop_inout_lights(it.deck_to_channel(deck));
         }
     },
+    toggle_loop_adjust: function (deck, loop_modifier) {
+        const it = PioneerDDJ400.internal;
+        PioneerDDJ400.state.deck[deck].loop_adjust_ticks = 0;
+        if (it.get_loop_adjust_state(deck) == loop_modifier) {
+            it.set_loop_adjust_state(deck, PioneerDDJ400.constants.loop_modifiers.none);
+        } else {
+            it.set_loop_adjust_state(deck, loop_modifier);
+        }
+    },
     get_loop_adjust_state: function (deck) {
         if (PioneerDDJ400.state.deck[deck].loop_adjust !== undefined) {
             return PioneerDDJ400.state.deck[deck].loop_adjust;
         }
         return PioneerDDJ400.constants.loop_modifiers.none;
     },
-    update_beatloop: function (value, group, padnum) {
+    get_beat_samples: function (group) {
+        // length of a beat in samples (both channels, like the loop positions), 0 without bpm
+        const bpm = engine.getValue(group, 'file_bpm');
+        if (bpm <= 0) {
+            return 0;
+        }
+        return engine.getValue(group, 'track_samplerate') * 2 * 60 / bpm;
+    },
+    get_beat_grid_origin: function (group, beat_samples) {
+        // position of the beat before the play position
+        return engine.getValue(group, 'playposition') * engine.getValue(group, 'track_samples') -
+            engine.getValue(group, 'beat_distance') * beat_samples;
+    },
+    count_loop_adjust_steps: function (deck, ticks, per_step) {
+        var acc = (PioneerDDJ400.state.deck[deck].loop_adjust_ticks || 0) + ticks;
+        const steps = acc < 0 ? Math.ceil(acc / per_step) : Math.floor(acc / per_step);
+        PioneerDDJ400.state.deck[deck].loop_adjust_ticks = acc - steps * per_step;
+        return steps;
+    },
+    adjust_loop_point: function (deck, ticks, fine) {
+        // Moves the loop point selected by loop in/out adjust. Returns false if no loop
+        // point is being adjusted.
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const group = it.deck_to_group(deck);
+        const loop_modifier = it.get_loop_adjust_state(deck);
+        if (!(it.get_loop_active(group) > 0) ||
+            (loop_modifier != cst.loop_modifiers.adjust_in && loop_modifier != cst.loop_modifiers.adjust_out)) {
+            return false;
+        }
+
+        const adjust_in = loop_modifier == cst.loop_modifiers.adjust_in;
+        const start = engine.getValue(group, 'loop_start_position');
+        const end = engine.getValue(group, 'loop_end_position');
+        const beat_samples = it.get_beat_samples(group);
+        var point = adjust_in ? start : end;
+        var min_length;
+
+        if (fine || !engine.getValue(group, 'quantize') || beat_samples <= 0) {
+            min_length = cst.loop_adjust_multiply;
+            point += ticks * cst.loop_adjust_multiply;
+            // clamp fine adjustment to the minimum length
+            point = adjust_in ? Math.min(point, end - min_length) : Math.max(point, start + min_length);
+        } else {
+            const steps = it.count_loop_adjust_steps(deck, ticks, cst.loop_adjust_ticks_per_step);
+            if (steps == 0) {
+                return true;
+            }
+            // the first step snaps an off-grid point to the grid
+            min_length = beat_samples * cst.loop_adjust_beats;
+            const origin = it.get_beat_grid_origin(group, beat_samples);
+            const index = (point - origin) / min_length;
+            const grid_index = steps > 0 ? Math.floor(index + 1e-6) : Math.ceil(index - 1e-6);
+            point = origin + (grid_index + steps) * min_length;
+            // don't move past the minimum length
+            if (adjust_in ? point > end - min_length : point < start + min_length) {
+                return true;
+            }
+        }
+
+        if (adjust_in) {
+            engine.setValue(group, 'loop_start_position', Math.max(0, point));
+        } else {
+            engine.setValue(group, 'loop_end_position', point);
+        }
+        return true;
+    },
+    has_beatloop_keep_loopin: function (group) {
+        // Only Mixxx with PR #4491 has beatloop_keep_loopin. engine.getValue returns 0 for
+        // controls that do not exist, but connecting to them returns undefined, so a probe
+        // connection is made once and disconnected right away.
+        if (PioneerDDJ400.state.has_beatloop_keep_loopin === undefined) {
+            const conn = engine.makeConnection(group, 'beatloop_keep_loopin', function () { });
+            PioneerDDJ400.state.has_beatloop_keep_loopin = conn ? true : false;
+            if (conn) {
+                conn.disconnect();
+            }
+            print('beatloop_keep_loopin ' + (conn ? 'found' : 'not found, computing 4 beat loops'));
+        }
+        return PioneerDDJ400.state.has_beatloop_keep_loopin;
+    },
+    beatloop_from_loop_in: function (group, beats) {
+        // beatloop_keep_loopin for stock Mixxx: loop from the loop in point, or from the
+        // last beat if there is none
+        const it = PioneerDDJ400.internal;
+        const beat_samples = it.get_beat_samples(group);
+        if (beat_samples <= 0) {
+            return;
+        }
+
+        var start = engine.getValue(group, 'loop_start_position');
+        if (start < 0) {
+            start = Math.max(0, it.get_beat_grid_origin(group, beat_samples));
+            engine.setValue(group, 'loop_start_position', start);
+        }
+        engine.setValue(group, 'loop_end_position', start + beats * beat_samples);
+        if (!it.get_loop_active(group)) {
+            engine.setValue(group, 'reloop_toggle', 1);
+        }
+    },
+    move_loop: function (deck, ticks) {
+        // Moves the loop by beatjump_size per loop_move_ticks_per_step jog ticks in loop
+        // move mode. Returns false if not in loop move mode.
         const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const group = it.deck_to_group(deck);
+        if (!(it.get_loop_active(group) > 0) || it.get_loop_adjust_state(deck) != cst.loop_modifiers.move) {
+            return false;
+        }
+
+        const steps = it.count_loop_adjust_steps(deck, ticks, cst.loop_move_ticks_per_step);
+        if (steps != 0) {
+            engine.setValue(group, 'loop_move', steps * engine.getValue(group, 'beatjump_size'));
+        }
+        return true;
+    },
+    // saved loops
+    get_saved_loops: function (group) {
+        const cst = PioneerDDJ400.constants;
+        var loops = [];
+        for (var hotcue = 1; hotcue <= cst.num_hotcues; hotcue++) {
+            if (engine.getValue(group, 'hotcue_' + hotcue + '_type') == cst.saved_loop_cue_type) {
+                loops.push({
+                    hotcue: hotcue,
+                    position: engine.getValue(group, 'hotcue_' + hotcue + '_position'),
+                });
+            }
+        }
+
+        loops.sort(function (a, b) {
+            return a.position - b.position;
+        });
+        return loops;
+    },
+    get_active_saved_loop: function (group) {
+        const it = PioneerDDJ400.internal;
+        if (!it.get_loop_active(group)) {
+            return undefined;
+        }
+
+        const loop_start = engine.getValue(group, 'loop_start_position');
+        const loops = it.get_saved_loops(group);
+        for (var i = 0; i < loops.length; i++) {
+            if (loops[i].position == loop_start) {
+                return loops[i].hotcue;
+            }
+        }
+        return undefined;
+    },
+    // Jumps to the previous/next saved loop from the play position. Returns false while a
+    // loop is active or if there is no saved loop in that direction.
+    call_saved_loop: function (group, forward) {
+        const it = PioneerDDJ400.internal;
+        if (it.get_loop_active(group)) {
+            return false;
+        }
+
+        const loops = it.get_saved_loops(group);
+        const position = engine.getValue(group, 'playposition') * engine.getValue(group, 'track_samples');
+        var target = undefined;
+        for (var i = 0; i < loops.length; i++) {
+            if (forward && loops[i].position > position) {
+                target = loops[i];
+                break;
+            }
+            if (!forward && loops[i].position < position) {
+                target = loops[i];
+            }
+        }
+
+        if (target === undefined) {
+            return false;
+        }
+
+        engine.setValue(group, 'hotcue_' + target.hotcue + '_gotoandloop', 1);
+        return true;
+    },
+    store_saved_loop: function (group) {
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        if (!it.get_loop_active(group)) {
+            return false;
+        }
+
+        if (it.get_active_saved_loop(group) !== undefined) {
+            return true;
+        }
+
+        for (var hotcue = cst.num_hotcues; hotcue >= 1; hotcue--) {
+            if (!engine.getValue(group, 'hotcue_' + hotcue + '_type')) {
+                engine.setValue(group, 'hotcue_' + hotcue + '_setloop', 1);
+                return true;
+            }
+        }
+
+        print('Warning: no free hot cue left to save the loop.');
+        return true;
+    },
+    delete_saved_loop: function (group) {
+        const hotcue = PioneerDDJ400.internal.get_active_saved_loop(group);
+        if (hotcue === undefined) {
+            return false;
+        }
+
+        engine.setValue(group, 'hotcue_' + hotcue + '_clear', 1);
+        return true;
+    },
+    update_beatloop: function (value, group, size) {
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
         if (!it.is_group_active(group)) {
             return;
         }
 
+        // a loop of the given size lights both the beat loop and the beat roll pad
         var channel = it.group_to_channel(group);
-        it.set_pad_light(PioneerDDJ400.constants.pad_modes.beat_loop, channel, padnum, false, value ? 0x7F : 0x00);
+        for (var loop_padnum = 0; loop_padnum < cst.beatloop_sizes.length; loop_padnum++) {
+            if (it.get_beatloop_size(channel, loop_padnum) == size) {
+                it.set_pad_light(cst.pad_modes.beat_loop, channel, loop_padnum, false, value ? 0x7F : 0x00);
+            }
+        }
+
+        var roll_padnum = cst.beatroll_sizes.indexOf(size);
+        if (roll_padnum >= 0) {
+            it.set_pad_light(cst.pad_modes.fx_2, channel, roll_padnum, false, value ? 0x7F : 0x00);
+        }
+    },
+    update_beatloop_003125: function (value, group) {
+        PioneerDDJ400.internal.update_beatloop(value, group, 0.03125);
+    },
+    update_beatloop_00625: function (value, group) {
+        PioneerDDJ400.internal.update_beatloop(value, group, 0.0625);
+    },
+    update_beatloop_0125: function (value, group) {
+        PioneerDDJ400.internal.update_beatloop(value, group, 0.125);
     },
     update_beatloop_025: function (value, group) {
-        PioneerDDJ400.internal.update_beatloop(value, group, 0);
+        PioneerDDJ400.internal.update_beatloop(value, group, 0.25);
     },
     update_beatloop_05: function (value, group) {
-        PioneerDDJ400.internal.update_beatloop(value, group, 1);
+        PioneerDDJ400.internal.update_beatloop(value, group, 0.5);
     },
     update_beatloop_1: function (value, group) {
-        PioneerDDJ400.internal.update_beatloop(value, group, 2);
+        PioneerDDJ400.internal.update_beatloop(value, group, 1);
     },
     update_beatloop_2: function (value, group) {
-        PioneerDDJ400.internal.update_beatloop(value, group, 3);
+        PioneerDDJ400.internal.update_beatloop(value, group, 2);
     },
     update_beatloop_4: function (value, group) {
         PioneerDDJ400.internal.update_beatloop(value, group, 4);
     },
     update_beatloop_8: function (value, group) {
-        PioneerDDJ400.internal.update_beatloop(value, group, 5);
+        PioneerDDJ400.internal.update_beatloop(value, group, 8);
     },
     update_beatloop_16: function (value, group) {
-        PioneerDDJ400.internal.update_beatloop(value, group, 6);
+        PioneerDDJ400.internal.update_beatloop(value, group, 16);
     },
     update_beatloop_32: function (value, group) {
-        PioneerDDJ400.internal.update_beatloop(value, group, 7);
+        PioneerDDJ400.internal.update_beatloop(value, group, 32);
+    },
+    update_beatloop_64: function (value, group) {
+        PioneerDDJ400.internal.update_beatloop(value, group, 64);
+    },
+    update_beatloop_128: function (value, group) {
+        PioneerDDJ400.internal.update_beatloop(value, group, 128);
+    },
+    update_beatloop_256: function (value, group) {
+        PioneerDDJ400.internal.update_beatloop(value, group, 256);
+    },
+    update_beatloop_512: function (value, group) {
+        PioneerDDJ400.internal.update_beatloop(value, group, 512);
+    },
+    get_beatloop_size: function (channel, padnum) {
+        const cst = PioneerDDJ400.constants;
+        const beatloop_fac = Math.pow(cst.beatloop_scalefac, PioneerDDJ400.state.channel[channel].beatloop_scalestep);
+        return beatloop_fac * cst.beatloop_sizes[padnum];
+    },
+    is_beatloop_size_available: function (size) {
+        const cst = PioneerDDJ400.constants;
+        return size >= cst.beatloop_min_size && size <= cst.beatloop_max_size;
+    },
+    allow_beatloop_downscale: function (channel) {
+        return !(PioneerDDJ400.state.channel[channel].beatloop_scalestep <= -1);
+    },
+    allow_beatloop_upscale: function (channel) {
+        return !(PioneerDDJ400.state.channel[channel].beatloop_scalestep >= 1);
+    },
+    update_beatloop_lights: function (channel) {
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+
+        for (var padnum = 0; padnum < cst.beatloop_sizes.length; padnum++) {
+            const available = it.is_beatloop_size_available(it.get_beatloop_size(channel, padnum));
+            it.set_pad_light(cst.pad_modes.beat_loop, channel, padnum, false, 0x00);
+            it.set_pad_light(cst.pad_modes.beat_loop, channel, padnum, true, available ? 0x7F : 0x00);
+        }
+
+        // the active loop lights its pad again
+        for (var control in PioneerDDJ400.state.connections[channel]) {
+            if (/^beatloop_.*_enabled$/.test(control)) {
+                PioneerDDJ400.state.connections[channel][control].trigger();
+            }
+        }
     },
     // setup
     update_deck_channel_indicator: function (channel) {
@@ -572,6 +1058,38 @@ PioneerDDJ400.internal = {
         const is_primary = (deck == cst.primary_deck[channel]) ? 0x7f : 0x00;
         it.set_pad_light(cst.pad_modes.beat_jump, channel, 0, true, is_primary);
     },
+    set_all_pad_lights: function (channel, value) {
+        const it = PioneerDDJ400.internal;
+        const pad_modes = PioneerDDJ400.constants.pad_modes;
+        for (var mode in pad_modes) {
+            for (var padnum = 0; padnum < 8; padnum++) {
+                it.set_pad_light(pad_modes[mode], channel, padnum, false, value);
+                it.set_pad_light(pad_modes[mode], channel, padnum, true, value);
+            }
+        }
+    },
+    flash_deck_identity: function (channel) {
+        // Flash all pads of the channel N times for deck N, then connect the channel,
+        // which restores the regular lights. A tempo pickup that starts meanwhile keeps
+        // its indicator disconnected (see connect_channel).
+        const it = PioneerDDJ400.internal;
+        const timer_id = 'deck_flash';
+        var remaining = 2 * (it.channel_to_deck(channel) + 1);
+
+        it.set_all_pad_lights(channel, 0x00);
+        PioneerDDJ400.state.timers[channel][timer_id] = engine.beginTimer(PioneerDDJ400.constants.times.deck_flash, function () {
+            if (remaining == 0) {
+                engine.stopTimer(PioneerDDJ400.state.timers[channel][timer_id]);
+                PioneerDDJ400.state.timers[channel][timer_id] = undefined;
+                it.set_all_pad_lights(channel, 0x00);
+                it.connect_channel(channel);
+                return;
+            }
+
+            it.set_all_pad_lights(channel, (remaining % 2) ? 0x00 : 0x7F);
+            remaining -= 1;
+        });
+    },
     disconnect_channel: function (channel) {
         // clear timers
         for (var timer in PioneerDDJ400.state.timers[channel]) {
@@ -580,6 +1098,9 @@ PioneerDDJ400.internal = {
             }
         }
         PioneerDDJ400.state.timers[channel] = {};
+        // the tempo pickup starts over for the next deck
+        PioneerDDJ400.state.channel[channel].tempo_pickup_indicator = undefined;
+        PioneerDDJ400.state.channel[channel].connected = false;
 
         // disconnect
         for (var conn in PioneerDDJ400.state.connections[channel]) {
@@ -589,8 +1110,13 @@ PioneerDDJ400.internal = {
         }
         PioneerDDJ400.state.connections[channel] = {};
 
-        // prepare soft takeover
+        // prepare soft takeover (a fixed mixer keeps controlling the same deck)
         const group = PioneerDDJ400.internal.channel_to_group(channel);
+        engine.softTakeoverIgnoreNextValue(group, 'rate');
+        if (!PioneerDDJ400.constants.mixer_follows_deck) {
+            return;
+        }
+
         const eq_group = '[EqualizerRack1_' + group + '_Effect1]';
         engine.softTakeoverIgnoreNextValue(eq_group, 'parameter1');
         engine.softTakeoverIgnoreNextValue(eq_group, 'parameter2');
@@ -605,19 +1131,43 @@ PioneerDDJ400.internal = {
         var group = it.deck_to_group(deck);
         print('Connecting: channel: ' + channel + ', deck: ' + deck + ', group: ' + group);
 
-        // connect
+        // connect, except the indicator a tempo pickup is blinking meanwhile
         const c2f = PioneerDDJ400.constants.output_control_to_function;
         for (var control in c2f) {
+            if (control === PioneerDDJ400.state.channel[channel].tempo_pickup_indicator) {
+                continue;
+            }
             PioneerDDJ400.state.connections[channel][control] = engine.makeConnection(group, control, c2f[control].fun);
             if (c2f[control].trig) {
                 PioneerDDJ400.state.connections[channel][control].trigger();
             }
         }
 
+        // mixer section
+        const mixer_group = it.channel_to_mixer_group(channel);
+        const mixer_c2f = PioneerDDJ400.constants.mixer_output_control_to_function;
+        for (var mixer_control in mixer_c2f) {
+            PioneerDDJ400.state.connections[channel]['mixer_' + mixer_control] = engine.makeConnection(mixer_group, mixer_control, mixer_c2f[mixer_control].fun);
+            if (mixer_c2f[mixer_control].trig) {
+                PioneerDDJ400.state.connections[channel]['mixer_' + mixer_control].trigger();
+            }
+        }
+
         // restore extra timers, lights that are not done upon connection trigger
+        it.connect_hotcues(channel);
         it.connect_samplers(channel);
+        it.update_fx1_lights(channel);
+        it.update_beatloop_lights(channel);
+        it.update_beatjump_shift_lights(channel);
+        it.update_beatjump_layout_lights(channel);
+        it.update_head_split_light(engine.getValue('[Master]', 'headSplit'));
         it.update_deck_channel_indicator(channel);
         it.update_fx_light();
+        PioneerDDJ400.state.channel[channel].connected = true;
+    },
+    is_channel_connected: function (channel) {
+        // false while a deck flash or deck selection holds back the connections
+        return PioneerDDJ400.state.channel[channel].connected === true;
     },
     toggle_deck_channel_gateway: function (channel) {
         if (PioneerDDJ400.constants.always_toggle_both) {
@@ -636,15 +1186,79 @@ PioneerDDJ400.internal = {
         }
 
         print('Toggling deck from ' + old_deck + ' to ' + next_deck + '.');
-
+        PioneerDDJ400.internal.assign_deck(channel, next_deck);
+    },
+    assign_deck: function (channel, deck) {
         // disconnect channel
         PioneerDDJ400.internal.disconnect_channel(channel);
+        PioneerDDJ400.state.channel[channel].deck_select = false;
 
         // set active deck
-        PioneerDDJ400.state.channel_mapping[channel] = next_deck;
+        PioneerDDJ400.state.channel_mapping[channel] = deck;
+        print('Channel mapping: ' + JSON.stringify(PioneerDDJ400.state.channel_mapping));
+
+        // the other side may be selecting a deck right now
+        if (PioneerDDJ400.internal.get_deck_select(1 - channel)) {
+            PioneerDDJ400.internal.update_deck_select_lights(1 - channel);
+        }
 
-        // connect channel pair
-        PioneerDDJ400.internal.connect_channel(channel);
+        // connect channel pair, after showing the new deck if enabled
+        if (PioneerDDJ400.constants.flash_deck_on_switch) {
+            PioneerDDJ400.internal.flash_deck_identity(channel);
+        } else {
+            PioneerDDJ400.internal.connect_channel(channel);
+        }
+    },
+    // deck select
+    get_deck_select: function (channel) {
+        if (PioneerDDJ400.state.channel[channel].deck_select !== undefined) {
+            return PioneerDDJ400.state.channel[channel].deck_select;
+        }
+        return false;
+    },
+    start_deck_select: function (channel) {
+        // The deck's lights are disconnected while the pads show the decks.
+        const it = PioneerDDJ400.internal;
+        it.disconnect_channel(channel);
+        PioneerDDJ400.state.channel[channel].deck_select = true;
+        it.update_deck_select_lights(channel);
+    },
+    update_deck_select_lights: function (channel) {
+        // Pads 1-4 of every pad mode are lit for the decks that can be selected,
+        // the deck of the other channel is not.
+        const it = PioneerDDJ400.internal;
+        const pad_modes = PioneerDDJ400.constants.pad_modes;
+        for (var mode in pad_modes) {
+            for (var padnum = 0; padnum < 8; padnum++) {
+                const value = it.is_deck_free(channel, padnum) ? 0x7F : 0x00;
+                it.set_pad_light(pad_modes[mode], channel, padnum, false, value);
+                it.set_pad_light(pad_modes[mode], channel, padnum, true, value);
+            }
+        }
+    },
+    handle_deck_select_pad: function (channel, padnum, value) {
+        // Returns true if the pad was used for deck selection. The release of the
+        // pad that selected the deck is swallowed as well.
+        const it = PioneerDDJ400.internal;
+        const channel_state = PioneerDDJ400.state.channel[channel];
+
+        if (!value) {
+            if (channel_state.deck_select_pad === padnum) {
+                channel_state.deck_select_pad = undefined;
+                return true;
+            }
+            return it.get_deck_select(channel);
+        }
+
+        if (!it.get_deck_select(channel)) {
+            return false;
+        }
+
+        if (it.is_deck_free(channel, padnum)) {
+            channel_state.deck_select_pad = padnum;
+            it.assign_deck(channel, padnum);
+        }
+        return true;
     },
     // shift
     shift_double_press: function (channel) {
@@ -788,6 +1402,86 @@ PioneerDDJ400.internal = {
     set_quick_effect_super1: function (group, value) {
         engine.setValue('[QuickEffectRack1_' + group + ']', 'super1', value);
     },
+    // tempo
+    tempo_fader_to_rate: function (full_value) {
+        return 1 - (full_value / 0x2000);
+    },
+    update_rate: function (_value, group) {
+        const it = PioneerDDJ400.internal;
+        if (!it.is_group_active(group)) {
+            return;
+        }
+
+        it.update_tempo_pickup(it.group_to_channel(group));
+    },
+    update_tempo_pickup: function (channel) {
+        // Until the tempo fader picks up the deck's rate (soft takeover), the play or cue
+        // light blinks. The fader sends higher values towards its bottom (+) end, so play
+        // (the lower button) blinks if the fader has to move down and cue if it has to
+        // move up.
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const fader_value = PioneerDDJ400.state.channel[channel].tempo_fader_value;
+        if (fader_value === undefined) {
+            return;
+        }
+
+        const diff = it.tempo_fader_to_rate(fader_value) - engine.getValue(it.channel_to_group(channel), 'rate');
+        if (Math.abs(diff) <= cst.tempo_pickup_threshold) {
+            it.set_tempo_pickup(channel, null);
+        } else {
+            it.set_tempo_pickup(channel, diff > 0 ? 'play_indicator' : 'cue_indicator');
+        }
+    },
+    set_tempo_pickup: function (channel, indicator) {
+        // The connection of the blinking indicator is closed during the pickup, so that
+        // the indicator does not overwrite the blinking light. It is connected again when
+        // the pickup ends.
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const connections = PioneerDDJ400.state.connections[channel];
+        const timer_id = 'tempo_pickup';
+        const timer_present = PioneerDDJ400.state.timers[channel][timer_id] !== undefined;
+        const previous = PioneerDDJ400.state.channel[channel].tempo_pickup_indicator;
+        if (indicator === previous && (timer_present || indicator === null)) {
+            return;
+        }
+
+        if (timer_present) {
+            engine.stopTimer(PioneerDDJ400.state.timers[channel][timer_id]);
+            PioneerDDJ400.state.timers[channel][timer_id] = undefined;
+        }
+        PioneerDDJ400.state.channel[channel].tempo_pickup_indicator = indicator;
+
+        // restore the light of the previous pickup (a channel that is not connected yet
+        // connects it with the others)
+        if (previous && connections[previous] === undefined && it.is_channel_connected(channel)) {
+            connections[previous] = engine.makeConnection(it.channel_to_group(channel), previous,
+                cst.output_control_to_function[previous].fun);
+            connections[previous].trigger();
+        }
+
+        if (indicator === null) {
+            return;
+        }
+
+        if (connections[indicator] !== undefined) {
+            connections[indicator].disconnect();
+            connections[indicator] = undefined;
+        }
+        const midi_out = indicator == 'play_indicator' ? cst.lights.play_pause : cst.lights.cue;
+        var lit = false;
+        PioneerDDJ400.state.timers[channel][timer_id] = engine.beginTimer(cst.times.tempo_pickup, function () {
+            lit = !lit;
+            it.update_light(channel, midi_out, lit);
+        });
+    },
+    tap_tempo: function (deck) {
+        // Mixxx averages the taps and sets the rate, which the tempo fader picks up again.
+        const group = PioneerDDJ400.internal.deck_to_group(deck);
+        engine.setValue(group, 'bpm_tap', 1);
+        engine.softTakeoverIgnoreNextValue(group, 'rate');
+    },
     // pads
     set_pad_light: function (mode, channel, padnum, shift, value) {
         var midi_out = {
@@ -803,10 +1497,60 @@ PioneerDDJ400.internal = {
     allow_beatjump_upscale: function (channel) {
         return !(PioneerDDJ400.state.channel[channel].beatjump_scalestep >= 1);
     },
+    get_beatjump_size: function (channel, padnum) {
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const layout = cst.beatjump_layouts[it.get_beatjump_layout(it.channel_to_deck(channel))];
+        const beatjump_fac = Math.pow(cst.beatjump_scalefac, PioneerDDJ400.state.channel[channel].beatjump_scalestep);
+        return beatjump_fac * layout.sizes[padnum];
+    },
+    get_beatjump_layout: function (deck) {
+        if (PioneerDDJ400.state.deck[deck].beatjump_layout !== undefined) {
+            return PioneerDDJ400.state.deck[deck].beatjump_layout;
+        }
+        return 0;
+    },
+    switch_beatjump_layout: function (channel) {
+        const it = PioneerDDJ400.internal;
+        const layouts = PioneerDDJ400.constants.beatjump_layouts;
+        const deck = it.channel_to_deck(channel);
+        const layout = (it.get_beatjump_layout(deck) + 1) % layouts.length;
+        PioneerDDJ400.state.deck[deck].beatjump_layout = layout;
+        print('Beat jump layout of deck ' + (deck + 1) + ': ' + layouts[layout].name);
+        it.update_beatjump_layout_lights(channel);
+    },
+    update_beatjump_layout_lights: function (channel) {
+        // Only the shifted 3rd pad shows the layout, so it is seen while shift is held: off
+        // for the first layout, lit for the second and blinking for the others.
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const timer_id = 'beatjump_layout_blink';
+        const layout = it.get_beatjump_layout(it.channel_to_deck(channel));
+
+        if (PioneerDDJ400.state.timers[channel][timer_id] !== undefined) {
+            engine.stopTimer(PioneerDDJ400.state.timers[channel][timer_id]);
+            PioneerDDJ400.state.timers[channel][timer_id] = undefined;
+        }
+
+        it.set_pad_light(cst.pad_modes.beat_jump, channel, 2, true, layout ? 0x7F : 0x00);
+        if (layout > 1) {
+            var blink_state = true;
+            PioneerDDJ400.state.timers[channel][timer_id] = engine.beginTimer(cst.times.beatjump_layout, function () {
+                blink_state = !blink_state;
+                it.set_pad_light(cst.pad_modes.beat_jump, channel, 2, true, blink_state ? 0x7F : 0x00);
+            });
+        }
+    },
     update_beatjump_shift_lights: function (channel) {
         const it = PioneerDDJ400.internal;
         const cst = PioneerDDJ400.constants;
 
+        it.set_pad_light(cst.pad_modes.beat_jump, channel, 4, true,
+            it.allow_beatloop_downscale(channel) ? 0x7F : 0x00);
+
+        it.set_pad_light(cst.pad_modes.beat_jump, channel, 5, true,
+            it.allow_beatloop_upscale(channel) ? 0x7F : 0x00);
+
         it.set_pad_light(cst.pad_modes.beat_jump, channel, 6, true,
             it.allow_beatjump_downscale(channel) ? 0x7F : 0x00);
 
@@ -845,47 +1589,506 @@ PioneerDDJ400.internal = {
     update_hotcue_7: function (value, group) {
         PioneerDDJ400.internal.update_hotcue(value, group, 6);
     },
-    update_hotcue_8: function (value, group) {
-        PioneerDDJ400.internal.update_hotcue(value, group, 7);
+    update_hotcue_8: function (value, group) {
+        PioneerDDJ400.internal.update_hotcue(value, group, 7);
+    },
+    get_hotcue_page: function (deck) {
+        if (PioneerDDJ400.state.deck[deck].hotcue_page !== undefined) {
+            return PioneerDDJ400.state.deck[deck].hotcue_page;
+        }
+        return 0;
+    },
+    get_hotcue_number: function (deck, padnum) {
+        return PioneerDDJ400.internal.get_hotcue_page(deck) * 8 + padnum + 1;
+    },
+    connect_hotcues: function (channel) {
+        const it = PioneerDDJ400.internal;
+        const deck = it.channel_to_deck(channel);
+        const group = it.deck_to_group(deck);
+
+        for (var padnum = 0; padnum < 8; padnum++) {
+            const control_key = 'hotcue_pad_' + padnum + '_light';
+            if (PioneerDDJ400.state.connections[channel][control_key] !== undefined) {
+                PioneerDDJ400.state.connections[channel][control_key].disconnect();
+            }
+
+            const control_name = 'hotcue_' + it.get_hotcue_number(deck, padnum) + '_enabled';
+            PioneerDDJ400.state.connections[channel][control_key] = engine.makeConnection(group, control_name, it['update_hotcue_' + (padnum + 1)]);
+            PioneerDDJ400.state.connections[channel][control_key].trigger();
+        }
+    },
+    set_hotcue_page: function (deck, page) {
+        const it = PioneerDDJ400.internal;
+        if (page >= PioneerDDJ400.constants.hotcue_pages) {
+            return;
+        }
+
+        PioneerDDJ400.state.deck[deck].hotcue_page = page;
+        print('Hot cue page of deck ' + (deck + 1) + ': ' + (page + 1));
+
+        if (it.is_deck_active(deck)) {
+            const channel = it.deck_to_channel(deck);
+            it.show_hotcue_page(channel);
+            it.update_keyboard_lights(channel);
+        }
+    },
+    show_hotcue_page: function (channel) {
+        // Light the pad of the page (page 1 = pad 1, ...) for a moment, then
+        // show the hot cues of the page again.
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const timer_id = 'hotcue_page';
+        const page = it.get_hotcue_page(it.channel_to_deck(channel));
+
+        for (var padnum = 0; padnum < 8; padnum++) {
+            const control_key = 'hotcue_pad_' + padnum + '_light';
+            if (PioneerDDJ400.state.connections[channel][control_key] !== undefined) {
+                PioneerDDJ400.state.connections[channel][control_key].disconnect();
+                PioneerDDJ400.state.connections[channel][control_key] = undefined;
+            }
+            it.set_pad_light(cst.pad_modes.hot_cue, channel, padnum, false, padnum == page ? 0x7F : 0x00);
+            it.set_pad_light(cst.pad_modes.hot_cue, channel, padnum, true, padnum == page ? 0x7F : 0x00);
+        }
+
+        if (PioneerDDJ400.state.timers[channel][timer_id] !== undefined) {
+            engine.stopTimer(PioneerDDJ400.state.timers[channel][timer_id]);
+        }
+        PioneerDDJ400.state.timers[channel][timer_id] = engine.beginTimer(cst.times.hotcue_page_display, function () {
+            PioneerDDJ400.state.timers[channel][timer_id] = undefined;
+            it.connect_hotcues(channel);
+        }, true);
+    },
+    hold_hotcue_pad: function (channel, padnum, value) {
+        // A held shift + pad selects the page of the pad, a shorter one deletes the hot cue
+        // when the pad is released. Pads without a page delete right away.
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const timer_id = 'hotcue_page_hold';
+        const deck = it.channel_to_deck(channel);
+        const clear_hotcue = function () {
+            engine.setValue(it.deck_to_group(deck), 'hotcue_' + it.get_hotcue_number(deck, padnum) + '_clear', 1);
+        };
+
+        if (padnum >= cst.hotcue_pages) {
+            if (value) {
+                clear_hotcue();
+            }
+            return;
+        }
+
+        if (value) {
+            if (PioneerDDJ400.state.timers[channel][timer_id] !== undefined) {
+                engine.stopTimer(PioneerDDJ400.state.timers[channel][timer_id]);
+            }
+            PioneerDDJ400.state.channel[channel].held_hotcue_pad = padnum;
+            PioneerDDJ400.state.timers[channel][timer_id] = engine.beginTimer(cst.times.hotcue_page_hold, function () {
+                PioneerDDJ400.state.timers[channel][timer_id] = undefined;
+                PioneerDDJ400.state.channel[channel].held_hotcue_pad = undefined;
+                it.set_hotcue_page(deck, padnum);
+            }, true);
+            return;
+        }
+
+        // released before the page was selected (a deck switch stops the timer)
+        if (PioneerDDJ400.state.timers[channel][timer_id] !== undefined
+            && PioneerDDJ400.state.channel[channel].held_hotcue_pad === padnum) {
+            engine.stopTimer(PioneerDDJ400.state.timers[channel][timer_id]);
+            PioneerDDJ400.state.timers[channel][timer_id] = undefined;
+            PioneerDDJ400.state.channel[channel].held_hotcue_pad = undefined;
+            clear_hotcue();
+        }
+    },
+    // keyboard
+    get_keyboard_hotcue: function (deck) {
+        if (PioneerDDJ400.state.deck[deck].keyboard_hotcue !== undefined) {
+            return PioneerDDJ400.state.deck[deck].keyboard_hotcue;
+        }
+        return 1;
+    },
+    set_keyboard_hotcue: function (deck, hotcue) {
+        const it = PioneerDDJ400.internal;
+        PioneerDDJ400.state.deck[deck].keyboard_hotcue = hotcue;
+        if (it.is_deck_active(deck)) {
+            it.update_keyboard_lights(it.deck_to_channel(deck));
+        }
+    },
+    update_keyboard_lights: function (channel) {
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const deck = it.channel_to_deck(channel);
+        const hotcue = it.get_keyboard_hotcue(deck);
+        const semitones = Math.round(engine.getValue(it.deck_to_group(deck), 'pitch_adjust'));
+
+        for (var padnum = 0; padnum < cst.keyboard_semitones.length; padnum++) {
+            it.set_pad_light(cst.pad_modes.keyboard, channel, padnum, false,
+                cst.keyboard_semitones[padnum] == semitones ? 0x7F : 0x00);
+            it.set_pad_light(cst.pad_modes.keyboard, channel, padnum, true,
+                it.get_hotcue_number(deck, padnum) == hotcue ? 0x7F : 0x00);
+        }
+    },
+    // key shift
+    update_key_shift_lights: function (channel, semitones) {
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+
+        for (var padnum = 0; padnum < cst.key_shift_semitones.length; padnum++) {
+            it.set_pad_light(cst.pad_modes.key_shift, channel, padnum, false,
+                cst.key_shift_semitones[padnum] == Math.round(semitones) ? 0x7F : 0x00);
+        }
+
+        it.set_pad_light(cst.pad_modes.key_shift, channel, 0, true, 0x7F);
+        it.set_pad_light(cst.pad_modes.key_shift, channel, 1, true, 0x7F);
+        it.set_pad_light(cst.pad_modes.key_shift, channel, 2, true, semitones ? 0x7F : 0x00);
+    },
+    update_pitch_adjust: function (value, group) {
+        const it = PioneerDDJ400.internal;
+        if (!it.is_group_active(group)) {
+            return;
+        }
+
+        var channel = it.group_to_channel(group);
+        it.update_keyboard_lights(channel);
+        it.update_key_shift_lights(channel, value);
+    },
+    toggle_key_shift: function (deck) {
+        const group = PioneerDDJ400.internal.deck_to_group(deck);
+        const current = engine.getValue(group, 'pitch_adjust');
+
+        if (current) {
+            PioneerDDJ400.state.deck[deck].last_key_shift = current;
+            engine.setValue(group, 'pitch_adjust', 0);
+        } else if (PioneerDDJ400.state.deck[deck].last_key_shift !== undefined) {
+            engine.setValue(group, 'pitch_adjust', PioneerDDJ400.state.deck[deck].last_key_shift);
+        }
+    },
+    // sampler
+    get_num_sampler_banks: function () {
+        const num_samplers = engine.getValue('[App]', 'num_samplers');
+        return Math.max(1, Math.ceil(num_samplers / PioneerDDJ400.constants.sampler_bank_size));
+    },
+    has_sampler: function (sampler_group) {
+        // The last bank has fewer samplers if num_samplers is not a multiple of its size.
+        const sampler = parseInt(sampler_group.match(script.samplerRegEx)[1]);
+        return sampler <= engine.getValue('[App]', 'num_samplers');
+    },
+    get_sampler_group: function (deck, padnum) {
+        const cst = PioneerDDJ400.constants;
+        const sampler = cst.sampler_numbers[deck][padnum] + PioneerDDJ400.state.sampler_bank * cst.sampler_bank_size;
+        return '[Sampler' + sampler + ']';
+    },
+    update_sampler: function (value, sampler_group) {
+        const it = PioneerDDJ400.internal;
+
+        // The same sampler might be on multiple pads/channels...
+        var num_decks = it.get_num_decks();
+        for (var deck = 0; deck < num_decks; deck++) {
+            if (!it.is_deck_active(deck)) {
+                continue;
+            }
+
+            var channel = it.deck_to_channel(deck);
+            for (var padnum = 0; padnum < 8; padnum++) {
+                if (sampler_group == it.get_sampler_group(deck, padnum)) {
+                    it.set_pad_light(PioneerDDJ400.constants.pad_modes.sampler, channel, padnum, false, value ? 0x7F : 0x00);
+                    it.set_pad_light(PioneerDDJ400.constants.pad_modes.sampler, channel, padnum, true, value ? 0x7F : 0x00);
+                }
+            }
+        }
+    },
+    disconnect_samplers: function (channel) {
+        for (var padnum = 0; padnum < 8; padnum++) {
+            const control_key = 'sampler_pad_' + padnum + '_light';
+            if (PioneerDDJ400.state.connections[channel][control_key] !== undefined) {
+                PioneerDDJ400.state.connections[channel][control_key].disconnect();
+                PioneerDDJ400.state.connections[channel][control_key] = undefined;
+            }
+        }
+    },
+    connect_samplers: function (channel) {
+        const it = PioneerDDJ400.internal;
+        var deck = it.channel_to_deck(channel);
+
+        it.disconnect_samplers(channel);
+        for (var padnum = 0; padnum < 8; padnum++) {
+            const control_name = it.get_sampler_group(deck, padnum);
+            const control_key = 'sampler_pad_' + padnum + '_light';
+            if (!it.has_sampler(control_name)) {
+                it.update_sampler(0, control_name);
+                continue;
+            }
+            PioneerDDJ400.state.connections[channel][control_key] = engine.makeConnection(control_name, 'track_loaded', PioneerDDJ400.internal.update_sampler);
+            PioneerDDJ400.state.connections[channel][control_key].trigger();
+        }
+    },
+    show_sampler_bank: function (channel) {
+        // Light the pad of the bank (bank 1 = pad 1, ...) for a moment, then
+        // show the samplers of the bank again.
+        const it = PioneerDDJ400.internal;
+        const cst = PioneerDDJ400.constants;
+        const timer_id = 'sampler_bank';
+        const bank_pad = PioneerDDJ400.state.sampler_bank % 8;
+
+        it.disconnect_samplers(channel);
+        if (PioneerDDJ400.state.timers[channel][timer_id] !== undefined) {
+            engine.stopTimer(PioneerDDJ400.state.timers[channel][timer_id]);
+        }
+
+        for (var padnum = 0; padnum < 8; padnum++) {
+            it.set_pad_light(cst.pad_modes.sampler, channel, padnum, false, padnum == bank_pad ? 0x7F : 0x00);
+            it.set_pad_light(cst.pad_modes.sampler, channel, padnum, true, padnum == bank_pad ? 0x7F : 0x00);
+        }
+
+        PioneerDDJ400.state.timers[channel][timer_id] = engine.beginTimer(cst.times.sampler_bank_display, function () {
+            PioneerDDJ400.state.timers[channel][timer_id] = undefined;
+            it.connect_samplers(channel);
+        }, true);
+    },
+    get_held_sampler: function (channel) {
+        if (PioneerDDJ400.state.channel[channel].held_sampler !== undefined) {
+            return PioneerDDJ400.state.channel[channel].held_sampler;
+        }
+        return null;
+    },
+    set_held_sampler: function (channel, sampler_group, held) {
+        const it = PioneerDDJ400.internal;
+        if (held) {
+            PioneerDDJ400.state.channel[channel].held_sampler = sampler_group;
+        } else if (it.get_held_sampler(channel) == sampler_group) {
+            PioneerDDJ400.state.channel[channel].held_sampler = undefined;
+        }
+    },
+    adjust_held_sampler: function (channel, control, step) {
+        // Jog input is applied to the parameter (0..1) of the held sampler's control.
+        const sampler_group = PioneerDDJ400.internal.get_held_sampler(channel);
+        const value = engine.getParameter(sampler_group, control) + step;
+        engine.setParameter(sampler_group, control, Math.max(0, Math.min(1, value)));
+    },
+    switch_sampler_bank: function (delta) {
+        const it = PioneerDDJ400.internal;
+        const size = PioneerDDJ400.constants.sampler_bank_size;
+        const bank = PioneerDDJ400.state.sampler_bank + delta;
+
+        if (bank < 0 || bank >= it.get_num_sampler_banks()) {
+            return;
+        }
+
+        PioneerDDJ400.state.sampler_bank = bank;
+        print('Sampler bank: ' + (bank + 1) + ' (samplers ' + (bank * size + 1) + '-' + ((bank + 1) * size) + ')');
+        it.show_sampler_bank(0);
+        it.show_sampler_bank(1);
+    },
+    // pad fx 1
+    set_value_ignore_takeover: function (group, control, value) {
+        // the hardware control has to pick up the new value (soft takeover)
+        engine.setValue(group, control, value);
+        engine.softTakeoverIgnoreNextValue(group, control);
+    },
+    get_fx1_running: function (deck, padnum) {
+        const running = PioneerDDJ400.state.deck[deck].fx1_running;
+        return running !== undefined && running[padnum] === true;
+    },
+    set_fx1_running: function (deck, padnum, running) {
+        const it = PioneerDDJ400.internal;
+        if (PioneerDDJ400.state.deck[deck].fx1_running === undefined) {
+            PioneerDDJ400.state.deck[deck].fx1_running = {};
+        }
+        PioneerDDJ400.state.deck[deck].fx1_running[padnum] = running;
+
+        if (it.is_deck_active(deck)) {
+            it.set_pad_light(PioneerDDJ400.constants.pad_modes.fx_1, it.deck_to_channel(deck), padnum, false, running ? 0x7F : 0x00);
+        }
+    },
+    update_fx1_lights: function (channel) {
+        const it = PioneerDDJ400.internal;
+        const deck = it.channel_to_deck(channel);
+        for (var padnum = 0; padnum < 8; padnum++) {
+            it.set_pad_light(PioneerDDJ400.constants.pad_modes.fx_1, channel, padnum, false,
+                it.get_fx1_running(deck, padnum) ? 0x7F : 0x00);
+        }
+        it.update_vinyl_mode_light(channel);
+        it.update_slip_light(channel);
+    },
+    // vinyl mode
+    get_vinyl_mode: function (deck) {
+        if (PioneerDDJ400.state.deck[deck].vinyl_mode !== undefined) {
+            return PioneerDDJ400.state.deck[deck].vinyl_mode;
+        }
+        return PioneerDDJ400.constants.vinyl_mode;
+    },
+    toggle_vinyl_mode: function (deck) {
+        const it = PioneerDDJ400.internal;
+        PioneerDDJ400.state.deck[deck].vinyl_mode = !it.get_vinyl_mode(deck);
+        print('Deck ' + (deck + 1) + ' vinyl mode: ' + (it.get_vinyl_mode(deck) ? 'on' : 'off'));
+
+        if (it.is_deck_active(deck)) {
+            it.update_vinyl_mode_light(it.deck_to_channel(deck));
+        }
+    },
+    update_vinyl_mode_light: function (channel) {
+        const it = PioneerDDJ400.internal;
+        it.set_pad_light(PioneerDDJ400.constants.pad_modes.fx_1, channel, 0, true,
+            it.get_vinyl_mode(it.channel_to_deck(channel)) ? 0x7F : 0x00);
+    },
+    // slip mode
+    get_slip: function (deck) {
+        return PioneerDDJ400.state.deck[deck].slip === true;
+    },
+    toggle_slip: function (deck) {
+        const it = PioneerDDJ400.internal;
+        PioneerDDJ400.state.deck[deck].slip = !it.get_slip(deck);
+        print('Deck ' + (deck + 1) + ' slip mode: ' + (it.get_slip(deck) ? 'on' : 'off'));
+
+        if (!it.get_slip(deck)) {
+            // turning slip off releases whatever still holds it
+            const holds = PioneerDDJ400.state.deck[deck].slip_holds || {};
+            Object.keys(holds).forEach(function (reason) {
+                it.end_slip(deck, reason);
+            });
+        }
+        if (it.is_deck_active(deck)) {
+            it.update_slip_light(it.deck_to_channel(deck));
+        }
+    },
+    update_slip_light: function (channel) {
+        const it = PioneerDDJ400.internal;
+        it.set_pad_light(PioneerDDJ400.constants.pad_modes.fx_1, channel, 1, true,
+            it.get_slip(it.channel_to_deck(channel)) ? 0x7F : 0x00);
+    },
+    // Enables Mixxx's slip mode for a scratch or loop (the reason) if the deck is in slip
+    // mode. Slip is only held if it was off before, so that it is not ended under a
+    // beat loop roll or reverse roll, which use slip mode themselves.
+    begin_slip: function (deck, reason) {
+        const it = PioneerDDJ400.internal;
+        const group = it.deck_to_group(deck);
+        if (!it.get_slip(deck)) {
+            return;
+        }
+
+        const holds = PioneerDDJ400.state.deck[deck].slip_holds || {};
+        if (!engine.getValue(group, 'slip_enabled')) {
+            engine.setValue(group, 'slip_enabled', 1);
+            holds[reason] = true;
+        } else if (Object.keys(holds).length > 0) {
+            holds[reason] = true;
+        }
+        PioneerDDJ400.state.deck[deck].slip_holds = holds;
     },
-    // sampler
-    update_sampler: function (value, sampler_group) {
+    // Releases the slip held for the reason. When nothing holds it anymore, slip mode is
+    // disabled and the deck returns to the slip position.
+    end_slip: function (deck, reason) {
         const it = PioneerDDJ400.internal;
+        const holds = PioneerDDJ400.state.deck[deck].slip_holds;
+        if (holds === undefined || !holds[reason]) {
+            return;
+        }
 
-        // The same sampler might be on multiple pads/channels...
-        var num_decks = it.get_num_decks();
-        for (var deck = 0; deck < num_decks; deck++) {
-            if (!it.is_deck_active(deck)) {
-                continue;
+        delete holds[reason];
+        if (Object.keys(holds).length === 0) {
+            engine.setValue(it.deck_to_group(deck), 'slip_enabled', 0);
+        }
+    },
+    run_fx1_macro: function (deck, padnum, duration, step, done) {
+        // The macro belongs to the deck and not to the hardware channel, so its timer is
+        // not kept in the channel timers which are cleared when switching decks.
+        // done(interrupted) restores what the macro changed, also when it is stopped early.
+        const it = PioneerDDJ400.internal;
+        const interval = PioneerDDJ400.constants.times.fx1_step;
+        var elapsed = 0;
+
+        if (PioneerDDJ400.state.deck[deck].fx1_timers === undefined) {
+            PioneerDDJ400.state.deck[deck].fx1_timers = {};
+        }
+        if (PioneerDDJ400.state.deck[deck].fx1_done === undefined) {
+            PioneerDDJ400.state.deck[deck].fx1_done = {};
+        }
+        PioneerDDJ400.state.deck[deck].fx1_done[padnum] = done;
+
+        it.set_fx1_running(deck, padnum, true);
+        step(elapsed);
+        PioneerDDJ400.state.deck[deck].fx1_timers[padnum] = engine.beginTimer(interval, function () {
+            elapsed += interval;
+            if (elapsed < duration) {
+                step(elapsed);
+                return;
             }
 
-            var channel = it.deck_to_channel(deck);
-            var deck_samplers = PioneerDDJ400.constants.sampler_groups[deck];
-            for (var padnum = 0; padnum < deck_samplers.length; padnum++) {
-                if (sampler_group == deck_samplers[padnum]) {
-                    it.set_pad_light(PioneerDDJ400.constants.pad_modes.sampler, channel, padnum, false, value ? 0x7F : 0x00);
-                    it.set_pad_light(PioneerDDJ400.constants.pad_modes.sampler, channel, padnum, true, value ? 0x7F : 0x00);
-                }
+            engine.stopTimer(PioneerDDJ400.state.deck[deck].fx1_timers[padnum]);
+            PioneerDDJ400.state.deck[deck].fx1_timers[padnum] = undefined;
+            PioneerDDJ400.state.deck[deck].fx1_done[padnum] = undefined;
+            done(false);
+            it.set_fx1_running(deck, padnum, false);
+        });
+    },
+    stop_fx1_macros: function (deck) {
+        const timers = PioneerDDJ400.state.deck[deck].fx1_timers;
+        const done = PioneerDDJ400.state.deck[deck].fx1_done;
+        for (var padnum in timers) {
+            if (timers[padnum] !== undefined) {
+                engine.stopTimer(timers[padnum]);
+                done[padnum](true);
             }
         }
+        PioneerDDJ400.state.deck[deck].fx1_timers = {};
+        PioneerDDJ400.state.deck[deck].fx1_done = {};
+        PioneerDDJ400.state.deck[deck].fx1_running = {};
     },
-    connect_samplers: function (channel) {
+    spinback: function (deck, padnum, stop) {
         const it = PioneerDDJ400.internal;
-        var deck = it.channel_to_deck(channel);
-        var deck_samplers = PioneerDDJ400.constants.sampler_groups[deck];
-        for (var padnum = 0; padnum < deck_samplers.length; padnum++) {
-            const control_name = deck_samplers[padnum];
-            const control_key = control_name + '_light';
-            PioneerDDJ400.state.connections[channel][control_key] = engine.makeConnection(control_name, 'track_loaded', PioneerDDJ400.internal.update_sampler);
-            PioneerDDJ400.state.connections[channel][control_key].trigger();
-        }
+        const mixxx_deck_idx = deck + 1;
+
+        engine.spinback(mixxx_deck_idx, true);
+        it.run_fx1_macro(deck, padnum, PioneerDDJ400.constants.times.spinback, function () { }, function (interrupted) {
+            if (stop && !interrupted) {
+                engine.setValue(it.deck_to_group(deck), 'play', 0);
+            }
+            engine.spinback(mixxx_deck_idx, false);
+        });
+    },
+    soft_start: function (deck, padnum) {
+        const cst = PioneerDDJ400.constants;
+        engine.softStart(deck + 1, true, cst.soft_start_factor);
+        PioneerDDJ400.internal.run_fx1_macro(deck, padnum, cst.times.soft_start, function () { }, function () { });
     },
-    // brake
-    update_brake_light: function () {
+    echo_out: function (deck, padnum, fade_time) {
         const it = PioneerDDJ400.internal;
         const cst = PioneerDDJ400.constants;
-        it.set_pad_light(cst.pad_modes.fx_1, 0, 0, false, 0x7f);
-        it.set_pad_light(cst.pad_modes.fx_1, 1, 0, false, 0x7f);
+        const group = it.deck_to_group(deck);
+        const unit = it.get_deck_effect_unit(deck);
+        const unit_group = it.get_effect_unit_group(unit);
+        const effect_group = it.get_effect_group(unit, cst.echo_effect_slot);
+        const assign_control = 'group_' + group + '_enable';
+        const was_assigned = engine.getValue(unit_group, assign_control);
+        const was_enabled = engine.getValue(effect_group, 'enabled');
+        const volume = engine.getValue(group, 'volume');
+
+        engine.setValue(unit_group, assign_control, 1);
+        engine.setValue(effect_group, 'enabled', 1);
+
+        // fade out, stop the deck and let the echo ring out
+        it.run_fx1_macro(deck, padnum, fade_time + cst.times.echo_tail, function (elapsed) {
+            if (elapsed < fade_time) {
+                it.set_value_ignore_takeover(group, 'volume', volume * (1 - elapsed / fade_time));
+            } else if (engine.getValue(group, 'play')) {
+                engine.setValue(group, 'play', 0);
+                it.set_value_ignore_takeover(group, 'volume', volume);
+            }
+        }, function () {
+            it.set_value_ignore_takeover(group, 'volume', volume);
+            engine.setValue(effect_group, 'enabled', was_enabled);
+            engine.setValue(unit_group, assign_control, was_assigned);
+        });
+    },
+    filter_sweep: function (deck, padnum, target) {
+        const it = PioneerDDJ400.internal;
+        const duration = PioneerDDJ400.constants.times.filter_sweep;
+        const group = '[QuickEffectRack1_' + it.deck_to_group(deck) + ']';
+        const start = engine.getValue(group, 'super1');
+
+        it.run_fx1_macro(deck, padnum, duration, function (elapsed) {
+            it.set_value_ignore_takeover(group, 'super1', start + (target - start) * elapsed / duration);
+        }, function () {
+            it.set_value_ignore_takeover(group, 'super1', start);
+        });
     },
     // headphone cue split
     update_head_split_light: function (value) {
@@ -893,20 +2096,60 @@ PioneerDDJ400.internal = {
         const cst = PioneerDDJ400.constants;
         it.set_pad_light(cst.pad_modes.beat_jump, 0, 1, true, value ? 0x7f : 0x00);
         it.set_pad_light(cst.pad_modes.beat_jump, 1, 1, true, value ? 0x7f : 0x00);
-    }
+    },
+    // session recording
+    to_hex: function (value) {
+        return '0x' + ('0' + value.toString(16).toUpperCase()).slice(-2);
+    },
+    record_session: function () {
+        // Wrap the public handlers so every incoming message is printed to the log
+        // (see 'record_session'). Calls from inside the script and output callbacks
+        // (no status) are not recorded.
+        const it = PioneerDDJ400.internal;
+        const start = Date.now();
+        var depth = 0;
+
+        Object.keys(PioneerDDJ400).forEach(function (name) {
+            const handler = PioneerDDJ400[name];
+            if (typeof handler !== 'function' || name == 'init' || name == 'shutdown') {
+                return;
+            }
+
+            PioneerDDJ400[name] = function (channel, control, value, status, group) {
+                if (depth == 0 && typeof status == 'number') {
+                    print('DDJ-400 session: ' + (Date.now() - start) + ' ' + it.to_hex(status) + ' ' +
+                        it.to_hex(control) + ' ' + it.to_hex(value));
+                }
+                depth++;
+                try {
+                    return handler.apply(this, arguments);
+                } finally {
+                    depth--;
+                }
+            };
+        });
+    },
 }
 
+PioneerDDJ400.constants.mixer_output_control_to_function = {
+    'VuMeter': { fun: PioneerDDJ400.internal.vu_meter_update, trig: true },
+    'pfl': { fun: PioneerDDJ400.internal.headphone_cue_update, trig: true },
+};
+
 PioneerDDJ400.constants.output_control_to_function = {
     'play_indicator': { fun: PioneerDDJ400.internal.play_indicator, trig: true },
     'cue_indicator': { fun: PioneerDDJ400.internal.cue_indicator, trig: true },
-    'VuMeter': { fun: PioneerDDJ400.internal.vu_meter_update, trig: true },
     'track_loaded': { fun: PioneerDDJ400.internal.track_loaded_animation, trig: false },
     'sync_enabled': { fun: PioneerDDJ400.internal.beatsync_update, trig: true },
     'sync_master': { fun: PioneerDDJ400.internal.beatmaster_update, trig: true },
-    'pfl': { fun: PioneerDDJ400.internal.headphone_cue_update, trig: true },
     'quantize': { fun: PioneerDDJ400.internal.quantize_update, trig: true },
     'keylock': { fun: PioneerDDJ400.internal.keylock_update, trig: true },
+    'pitch_adjust': { fun: PioneerDDJ400.internal.update_pitch_adjust, trig: true },
     'loop_enabled': { fun: PioneerDDJ400.internal.set_loop_enabled, trig: true },
+    'rate': { fun: PioneerDDJ400.internal.update_rate, trig: true },
+    'beatloop_0.03125_enabled': { fun: PioneerDDJ400.internal.update_beatloop_003125, trig: true },
+    'beatloop_0.0625_enabled': { fun: PioneerDDJ400.internal.update_beatloop_00625, trig: true },
+    'beatloop_0.125_enabled': { fun: PioneerDDJ400.internal.update_beatloop_0125, trig: true },
     'beatloop_0.25_enabled': { fun: PioneerDDJ400.internal.update_beatloop_025, trig: true },
     'beatloop_0.5_enabled': { fun: PioneerDDJ400.internal.update_beatloop_05, trig: true },
     'beatloop_1_enabled': { fun: PioneerDDJ400.internal.update_beatloop_1, trig: true },
@@ -915,14 +2158,10 @@ PioneerDDJ400.constants.output_control_to_function = {
     'beatloop_8_enabled': { fun: PioneerDDJ400.internal.update_beatloop_8, trig: true },
     'beatloop_16_enabled': { fun: PioneerDDJ400.internal.update_beatloop_16, trig: true },
     'beatloop_32_enabled': { fun: PioneerDDJ400.internal.update_beatloop_32, trig: true },
-    'hotcue_1_enabled': { fun: PioneerDDJ400.internal.update_hotcue_1, trig: true },
-    'hotcue_2_enabled': { fun: PioneerDDJ400.internal.update_hotcue_2, trig: true },
-    'hotcue_3_enabled': { fun: PioneerDDJ400.internal.update_hotcue_3, trig: true },
-    'hotcue_4_enabled': { fun: PioneerDDJ400.internal.update_hotcue_4, trig: true },
-    'hotcue_5_enabled': { fun: PioneerDDJ400.internal.update_hotcue_5, trig: true },
-    'hotcue_6_enabled': { fun: PioneerDDJ400.internal.update_hotcue_6, trig: true },
-    'hotcue_7_enabled': { fun: PioneerDDJ400.internal.update_hotcue_7, trig: true },
-    'hotcue_8_enabled': { fun: PioneerDDJ400.internal.update_hotcue_8, trig: true },
+    'beatloop_64_enabled': { fun: PioneerDDJ400.internal.update_beatloop_64, trig: true },
+    'beatloop_128_enabled': { fun: PioneerDDJ400.internal.update_beatloop_128, trig: true },
+    'beatloop_256_enabled': { fun: PioneerDDJ400.internal.update_beatloop_256, trig: true },
+    'beatloop_512_enabled': { fun: PioneerDDJ400.internal.update_beatloop_512, trig: true },
 };
 
 // ---- public ----
@@ -937,20 +2176,15 @@ PioneerDDJ400.jogTurn = function (channel, _control, value, _status, _group) {
     // wheel center at 64; <64 rew >64 fwd
     var new_value = (value - 64);
 
-    // loop_in / out adjust
-    const loop_enabled = it.get_loop_active(group);
-    if (loop_enabled > 0) {
-        const loop_modifier = PioneerDDJ400.internal.get_loop_adjust_state(deck);
-        var adjust_value = new_value * cst.loop_adjust_multiply;
-        if (loop_modifier == cst.loop_modifiers.adjust_in) {
-            adjust_value = adjust_value + engine.getValue(group, "loop_start_position");
-            engine.setValue(group, "loop_start_position", adjust_value);
-            return;
-        } else if (loop_modifier == cst.loop_modifiers.adjust_out) {
-            adjust_value = adjust_value + engine.getValue(group, "loop_end_position");
-            engine.setValue(group, "loop_end_position", adjust_value);
-            return;
-        }
+    // a held sampler pad takes the jog wheel
+    if (it.get_held_sampler(channel) !== null) {
+        it.adjust_held_sampler(channel, 'pregain', new_value * cst.sampler_jog_pregain_step);
+        return;
+    }
+
+    // loop move, loop_in / out adjust (on the beat grid while quantize is on)
+    if (it.move_loop(deck, new_value) || it.adjust_loop_point(deck, new_value, false)) {
+        return;
     }
 
     var group_number = deck + 1;
@@ -963,6 +2197,16 @@ PioneerDDJ400.jogTurn = function (channel, _control, value, _status, _group) {
 
 PioneerDDJ400.jogSearch = function (channel, _control, value, _status, _group) {
     const it = PioneerDDJ400.internal;
+    if (it.get_held_sampler(channel) !== null) {
+        it.adjust_held_sampler(channel, 'rate', (value - 64) * PioneerDDJ400.constants.sampler_jog_rate_step);
+        return;
+    }
+
+    // fine loop_in / out adjust
+    if (it.adjust_loop_point(it.channel_to_deck(channel), value - 64, true)) {
+        return;
+    }
+
     var new_value = (value - 64) * PioneerDDJ400.constants.fast_seek_scale;
     engine.setValue(it.channel_to_group(channel), "jog", new_value);
 };
@@ -977,11 +2221,14 @@ PioneerDDJ400.jogTouch = function (channel, _control, value) {
         return;
     }
 
+    // don't scratch while the jog wheel adjusts a held sampler
     const group_number = deck + 1;
-    if (value !== 0 && cst.vinyl_mode) {
+    if (value !== 0 && it.get_vinyl_mode(deck) && it.get_held_sampler(channel) === null) {
+        it.begin_slip(deck, 'scratch');
         engine.scratchEnable(group_number, 720, 33 + 1 / 3, cst.jog_alpha, cst.jog_beta, true);
     } else {
         engine.scratchDisable(group_number, true);
+        it.end_slip(deck, 'scratch');
     }
 };
 
@@ -1001,6 +2248,22 @@ PioneerDDJ400.LoadSelectedTrack = function (_channel, _control, value, _status,
     engine.setValue(it.channel_to_group(channel), 'LoadSelectedTrack', 1);
 }
 
+// deck select
+PioneerDDJ400.deck_select = function (_channel, _control, value, _status, group) {
+    if (!value) {
+        return;
+    }
+
+    const it = PioneerDDJ400.internal;
+    const channel = group == 'L' ? 0 : 1;
+    if (it.get_deck_select(channel)) {
+        // pressed again: keep the deck
+        it.assign_deck(channel, it.channel_to_deck(channel));
+    } else {
+        it.start_deck_select(channel);
+    }
+}
+
 // play/pause
 PioneerDDJ400.play = function (channel, _control, value, _status, _group) {
     if (value) {
@@ -1067,6 +2330,15 @@ PioneerDDJ400.focussed_prev_effect = function (_channel, _control, value, _statu
     }
 }
 
+// Shift + beat left/right load the previous/next effect into the focussed slot
+PioneerDDJ400.beatFxSelectPreviousEffect = function (channel, control, value, status, group) {
+    PioneerDDJ400.focussed_prev_effect(channel, control, value, status, group);
+}
+
+PioneerDDJ400.beatFxSelectNextEffect = function (channel, control, value, status, group) {
+    PioneerDDJ400.focussed_next_effect(channel, control, value, status, group);
+}
+
 PioneerDDJ400.switch_effect_slot = function (next) {
     const it = PioneerDDJ400.internal;
     const deck = it.get_effect_deck();
@@ -1191,11 +2463,7 @@ PioneerDDJ400.loop_in = function (channel, _control, value, _status, _group) {
     const group = it.deck_to_group(deck);
 
     if (it.get_loop_active(group)) {
-        if (it.get_loop_adjust_state(deck) == cst.loop_modifiers.adjust_in) {
-            it.set_loop_adjust_state(deck, cst.loop_modifiers.none);
-        } else {
-            it.set_loop_adjust_state(deck, cst.loop_modifiers.adjust_in);
-        }
+        it.toggle_loop_adjust(deck, cst.loop_modifiers.adjust_in);
         return;
     }
 
@@ -1212,7 +2480,11 @@ PioneerDDJ400.loop_in_long = function (channel, _control, _value, _status, _grou
     }
 
     engine.setValue(group, 'beatloop_size', 4);
-    engine.setValue(group, 'beatloop_keep_loopin', 4);
+    if (it.has_beatloop_keep_loopin(group)) {
+        engine.setValue(group, 'beatloop_keep_loopin', 4);
+    } else {
+        it.beatloop_from_loop_in(group, 4);
+    }
 }
 
 PioneerDDJ400.loop_out = function (channel, _control, value, _status, _group) {
@@ -1227,11 +2499,7 @@ PioneerDDJ400.loop_out = function (channel, _control, value, _status, _group) {
     const group = it.deck_to_group(deck);
 
     if (it.get_loop_active(group)) {
-        if (it.get_loop_adjust_state(deck) == cst.loop_modifiers.adjust_out) {
-            it.set_loop_adjust_state(deck, cst.loop_modifiers.none);
-        } else {
-            it.set_loop_adjust_state(deck, cst.loop_modifiers.adjust_out);
-        }
+        it.toggle_loop_adjust(deck, cst.loop_modifiers.adjust_out);
         return;
     }
 
@@ -1239,6 +2507,26 @@ PioneerDDJ400.loop_out = function (channel, _control, value, _status, _group) {
     engine.setValue(group, 'loop_out', 0);
 }
 
+PioneerDDJ400.toggleLoopAdjustIn = function (channel, _control, value, _status, _group) {
+    const it = PioneerDDJ400.internal;
+    const deck = it.channel_to_deck(channel);
+    if (!value || !it.get_loop_active(it.deck_to_group(deck))) {
+        return;
+    }
+
+    it.toggle_loop_adjust(deck, PioneerDDJ400.constants.loop_modifiers.adjust_in);
+}
+
+PioneerDDJ400.toggleLoopAdjustOut = function (channel, _control, value, _status, _group) {
+    const it = PioneerDDJ400.internal;
+    const deck = it.channel_to_deck(channel);
+    if (!value || !it.get_loop_active(it.deck_to_group(deck))) {
+        return;
+    }
+
+    it.toggle_loop_adjust(deck, PioneerDDJ400.constants.loop_modifiers.adjust_out);
+}
+
 PioneerDDJ400.reloop_toggle = function (channel, _control, value, _status, _group) {
     if (!value) {
         return;
@@ -1247,6 +2535,11 @@ PioneerDDJ400.reloop_toggle = function (channel, _control, value, _status, _grou
     const it = PioneerDDJ400.internal;
     const group = it.channel_to_group(channel);
 
+    // in slip mode, exiting the loop returns to the slip position (see set_loop_enabled)
+    if (!it.get_loop_active(group) && engine.getValue(group, 'loop_start_position') >= 0
+        && engine.getValue(group, 'loop_end_position') >= 0) {
+        it.begin_slip(it.channel_to_deck(channel), 'loop');
+    }
     engine.setValue(group, 'reloop_toggle', 1);
 }
 
@@ -1256,7 +2549,14 @@ PioneerDDJ400.reloop_andstop = function (channel, _control, value, _status, _gro
     }
 
     const it = PioneerDDJ400.internal;
-    const group = it.channel_to_group(channel);
+    const deck = it.channel_to_deck(channel);
+    const group = it.deck_to_group(deck);
+
+    // with an active loop, toggle loop move instead
+    if (it.get_loop_active(group)) {
+        it.toggle_loop_adjust(deck, PioneerDDJ400.constants.loop_modifiers.move);
+        return;
+    }
 
     engine.setValue(group, 'reloop_andstop', 1);
 }
@@ -1268,6 +2568,10 @@ PioneerDDJ400.cueLoopCallLeft = function (channel, _control, value, _status, _gr
 
     const it = PioneerDDJ400.internal;
     const group = it.channel_to_group(channel);
+    if (it.call_saved_loop(group, false)) {
+        return;
+    }
+
     if (it.get_loop_active(group)) {
         engine.setValue(group, "loop_scale", 0.5);
         return;
@@ -1284,6 +2588,10 @@ PioneerDDJ400.cueLoopCallRight = function (channel, _control, value, _status, _g
 
     const it = PioneerDDJ400.internal;
     const group = it.channel_to_group(channel);
+    if (it.call_saved_loop(group, true)) {
+        return;
+    }
+
     if (it.get_loop_active(group)) {
         engine.setValue(group, "loop_scale", 2);
         return;
@@ -1293,6 +2601,32 @@ PioneerDDJ400.cueLoopCallRight = function (channel, _control, value, _status, _g
     engine.setValue(group, 'beatloop_activate', 1);
 }
 
+PioneerDDJ400.cueLoopCallMemory = function (channel, _control, value, _status, _group) {
+    if (!value) {
+        return;
+    }
+
+    const it = PioneerDDJ400.internal;
+    if (it.store_saved_loop(it.channel_to_group(channel))) {
+        return;
+    }
+
+    PioneerDDJ400.quickJumpBack(channel, 0, value);
+}
+
+PioneerDDJ400.cueLoopCallDelete = function (channel, _control, value, _status, _group) {
+    if (!value) {
+        return;
+    }
+
+    const it = PioneerDDJ400.internal;
+    if (it.delete_saved_loop(it.channel_to_group(channel))) {
+        return;
+    }
+
+    PioneerDDJ400.quickJumpForward(channel, 0, value);
+}
+
 PioneerDDJ400.quickJumpBack = function (channel, _control, value, _status, _group) {
     if (!value) {
         return;
@@ -1320,7 +2654,7 @@ PioneerDDJ400.volumeLSB = function (channel, _control, value, _status, _group) {
     const full_value = (PioneerDDJ400.state.channel[channel].volumeMSB << 7) + value;
 
     engine.setValue(
-        it.channel_to_group(channel),
+        it.channel_to_mixer_group(channel),
         'volume',
         it.parameter_to_value_volume(full_value / 0x4000)
     );
@@ -1340,7 +2674,7 @@ PioneerDDJ400.headphone_cue = function (channel, _control, value, _status, _grou
         return;
     }
 
-    script.toggleControl(PioneerDDJ400.internal.channel_to_group(channel), 'pfl');
+    script.toggleControl(PioneerDDJ400.internal.channel_to_mixer_group(channel), 'pfl');
 }
 
 // channel mixer
@@ -1349,7 +2683,7 @@ PioneerDDJ400.mix_trim_lsb = function (channel, _control, value, _status, _group
     const full_value = (PioneerDDJ400.state.channel[channel].mix_trim_msb << 7) + value;
 
     engine.setValue(
-        it.channel_to_group(channel),
+        it.channel_to_mixer_group(channel),
         'pregain',
         it.parameter_to_value_eq(full_value / 0x4000)
     );
@@ -1362,7 +2696,7 @@ PioneerDDJ400.mix_trim_msb = function (channel, _control, value, _status, _group
 PioneerDDJ400.mix_low_lsb = function (channel, _control, value, _status, _group) {
     const full_value = (PioneerDDJ400.state.channel[channel].mix_low_msb << 7) + value;
     const it = PioneerDDJ400.internal;
-    it.set_low(it.channel_to_group(channel), full_value / 0x4000);
+    it.set_low(it.channel_to_mixer_group(channel), full_value / 0x4000);
 }
 
 PioneerDDJ400.mix_low_msb = function (channel, _control, value, _status, _group) {
@@ -1372,7 +2706,7 @@ PioneerDDJ400.mix_low_msb = function (channel, _control, value, _status, _group)
 PioneerDDJ400.mix_mid_lsb = function (channel, _control, value, _status, _group) {
     const full_value = (PioneerDDJ400.state.channel[channel].mix_mid_msb << 7) + value;
     const it = PioneerDDJ400.internal;
-    it.set_mid(it.channel_to_group(channel), full_value / 0x4000);
+    it.set_mid(it.channel_to_mixer_group(channel), full_value / 0x4000);
 }
 
 PioneerDDJ400.mix_mid_msb = function (channel, _control, value, _status, _group) {
@@ -1382,7 +2716,7 @@ PioneerDDJ400.mix_mid_msb = function (channel, _control, value, _status, _group)
 PioneerDDJ400.mix_hi_lsb = function (channel, _control, value, _status, _group) {
     const full_value = (PioneerDDJ400.state.channel[channel].mix_hi_msb << 7) + value;
     const it = PioneerDDJ400.internal;
-    it.set_hi(it.channel_to_group(channel), full_value / 0x4000);
+    it.set_hi(it.channel_to_mixer_group(channel), full_value / 0x4000);
 }
 
 PioneerDDJ400.mix_hi_msb = function (channel, _control, value, _status, _group) {
@@ -1394,7 +2728,7 @@ PioneerDDJ400.super1_lsb = function (_channel, _control, value, _status, group)
     const channel = group === 'L' ? 0 : 1;
     const full_value = (PioneerDDJ400.state.channel[channel].effect_super1_msb << 7) + value;
     const it = PioneerDDJ400.internal;
-    it.set_quick_effect_super1(it.channel_to_group(channel), full_value / 0x4000);
+    it.set_quick_effect_super1(it.channel_to_mixer_group(channel), full_value / 0x4000);
 }
 
 PioneerDDJ400.super1_msb = function (_channel, _control, value, _status, group) {
@@ -1408,13 +2742,13 @@ PioneerDDJ400.tempoSliderMSB = function (channel, _control, value, _status, _gro
 };
 
 PioneerDDJ400.tempoSliderLSB = function (channel, _control, value, _status, _group) {
+    const it = PioneerDDJ400.internal;
     const full_value = (PioneerDDJ400.state.channel[channel].tempoSliderMSB << 7) + value;
+    PioneerDDJ400.state.channel[channel].tempo_fader_value = full_value;
 
-    engine.setValue(
-        PioneerDDJ400.internal.channel_to_group(channel),
-        'rate',
-        1 - (full_value / 0x2000)
-    );
+    // soft takeover may ignore the value, the rate connection does not fire then
+    engine.setValue(it.channel_to_group(channel), 'rate', it.tempo_fader_to_rate(full_value));
+    it.update_tempo_pickup(channel);
 }
 
 // beat sync
@@ -1471,13 +2805,11 @@ PioneerDDJ400.cycleTempoRange = function (channel, _control, value, _status, _gr
 // pads
 PioneerDDJ400.handle_hotcue = function (channel, padnum, shift, value) {
     const it = PioneerDDJ400.internal;
-    const padidx = padnum + 1;
+    const deck = it.channel_to_deck(channel);
     if (shift) {
-        if (value) {
-            engine.setValue(it.channel_to_group(channel), 'hotcue_' + padidx + '_clear', 1);
-        }
+        it.hold_hotcue_pad(channel, padnum, value);
     } else {
-        engine.setValue(it.channel_to_group(channel), 'hotcue_' + padidx + '_activate', value);
+        engine.setValue(it.deck_to_group(deck), 'hotcue_' + it.get_hotcue_number(deck, padnum) + '_activate', value);
     }
 }
 
@@ -1496,12 +2828,33 @@ PioneerDDJ400.handle_beatjump_shift = function (channel, padnum, _shift, _value)
         return;
     }
 
+    // 3rd (2) switches to the next beatjump layout
+    if (padnum == 2) {
+        it.switch_beatjump_layout(channel);
+        return;
+    }
+
     // 4th (3) for toggling keylock
     if (padnum == 3) {
         script.toggleControl(it.channel_to_group(channel), 'keylock');
         return;
     }
 
+    // 5th / 6th (4/5) pad for scaling beatloop
+    if (padnum == 4 && it.allow_beatloop_downscale(channel)) {
+        PioneerDDJ400.state.channel[channel].beatloop_scalestep -= 1;
+        it.update_beatjump_shift_lights(channel);
+        it.update_beatloop_lights(channel);
+        return;
+    }
+
+    if (padnum == 5 && it.allow_beatloop_upscale(channel)) {
+        PioneerDDJ400.state.channel[channel].beatloop_scalestep += 1;
+        it.update_beatjump_shift_lights(channel);
+        it.update_beatloop_lights(channel);
+        return;
+    }
+
     // 7th / 8th (6/7) pad for scaling beatjump
     const allow_upscale = it.allow_beatjump_upscale(channel);
     const allow_downscale = it.allow_beatjump_downscale(channel);
@@ -1531,26 +2884,37 @@ PioneerDDJ400.handle_beatjump = function (channel, padnum, shift, value) {
 
     const it = PioneerDDJ400.internal;
     const group = it.channel_to_group(channel);
-    const beatjump_fac = Math.pow(PioneerDDJ400.constants.beatjump_scalefac, PioneerDDJ400.state.channel[channel].beatjump_scalestep);
-    const jump = beatjump_fac * PioneerDDJ400.constants.beatjump_sizes[padnum];
-    engine.setValue(group, 'beatjump', jump);
+    engine.setValue(group, 'beatjump', it.get_beatjump_size(channel, padnum));
 }
 
 PioneerDDJ400.handle_beatloop = function (channel, padnum, shift, value) {
-    if (!value || shift) {
+    const it = PioneerDDJ400.internal;
+    const size = it.get_beatloop_size(channel, padnum);
+    if (!it.is_beatloop_size_available(size)) {
         return;
     }
 
-    const it = PioneerDDJ400.internal;
-    const size = PioneerDDJ400.constants.beatloop_sizes[padnum];
-    const control_name = 'beatloop_' + size + '_toggle';
-    engine.setValue(it.channel_to_group(channel), control_name, 1);
+    const group = it.channel_to_group(channel);
+    if (shift) {
+        engine.setValue(group, 'beatlooproll_' + size + '_activate', value ? 1 : 0);
+        return;
+    }
+
+    if (!value) {
+        return;
+    }
+
+    engine.setValue(group, 'beatloop_' + size + '_toggle', 1);
 }
 
 PioneerDDJ400.handle_sampler = function (channel, padnum, shift, value) {
     const it = PioneerDDJ400.internal;
     const deck = it.channel_to_deck(channel);
-    const sampler_group = PioneerDDJ400.constants.sampler_groups[deck][padnum];
+    const sampler_group = it.get_sampler_group(deck, padnum);
+    if (!it.has_sampler(sampler_group)) {
+        return;
+    }
+    it.set_held_sampler(channel, sampler_group, value);
     if (shift) {
         if (engine.getValue(sampler_group, 'play')) {
             engine.setValue(sampler_group, 'cue_gotoandstop', value);
@@ -1566,18 +2930,156 @@ PioneerDDJ400.handle_sampler = function (channel, padnum, shift, value) {
     }
 }
 
-PioneerDDJ400.handle_fx1 = function (channel, padnum, shift, value) {
+PioneerDDJ400.sampler_bank_select = function (_channel, _control, value, _status, _group) {
+    // relative encoder: values below 0x40 turn right
+    PioneerDDJ400.internal.switch_sampler_bank(value < 0x40 ? 1 : -1);
+}
+
+PioneerDDJ400.handle_keyboard = function (channel, padnum, shift, value) {
+    const it = PioneerDDJ400.internal;
+    const deck = it.channel_to_deck(channel);
+    const group = it.deck_to_group(deck);
+
+    // shift selects the hot cue of the hot cue page to be played
+    if (shift) {
+        if (value) {
+            it.set_keyboard_hotcue(deck, it.get_hotcue_number(deck, padnum));
+        }
+        return;
+    }
+
+    if (value) {
+        engine.setValue(group, 'pitch_adjust', PioneerDDJ400.constants.keyboard_semitones[padnum]);
+    }
+
+    engine.setValue(group, 'hotcue_' + it.get_keyboard_hotcue(deck) + '_activate', value);
+}
+
+PioneerDDJ400.handle_key_shift = function (channel, padnum, shift, value) {
+    if (!value) {
+        return;
+    }
+
+    const it = PioneerDDJ400.internal;
+    const deck = it.channel_to_deck(channel);
+    const group = it.deck_to_group(deck);
+
     if (shift) {
+        switch (padnum) {
+            case 0:
+                engine.setValue(group, 'sync_key', 1);
+                break;
+            case 1:
+                engine.setValue(group, 'reset_key', 1);
+                break;
+            case 2:
+                it.toggle_key_shift(deck);
+                break;
+            case 7:
+                it.tap_tempo(deck);
+                break;
+            default:
+                break;
+        }
+        return;
+    }
+
+    const semitones = PioneerDDJ400.constants.key_shift_semitones[padnum];
+    if (semitones) {
+        PioneerDDJ400.state.deck[deck].last_key_shift = semitones;
+    }
+    engine.setValue(group, 'pitch_adjust', semitones);
+}
+
+PioneerDDJ400.handle_fx2 = function (channel, padnum, shift, value) {
+    const it = PioneerDDJ400.internal;
+    const cst = PioneerDDJ400.constants;
+    const deck = it.channel_to_deck(channel);
+    const group = it.deck_to_group(deck);
+
+    if (!shift) {
+        engine.setValue(group, 'beatlooproll_' + cst.beatroll_sizes[padnum] + '_activate', value ? 1 : 0);
         return;
     }
 
+    // There are no controls for triplet sizes, so roll with a temporary beatloop_size.
+    // With several pads held, the last one held rolls and the roll ends with the last release.
+    const held = PioneerDDJ400.state.deck[deck].beatroll_held_pads || [];
+    if (held.indexOf(padnum) != -1) {
+        held.splice(held.indexOf(padnum), 1);
+    }
+
+    if (value) {
+        if (PioneerDDJ400.state.deck[deck].beatroll_restore_size === undefined) {
+            PioneerDDJ400.state.deck[deck].beatroll_restore_size = engine.getValue(group, 'beatloop_size');
+        }
+        held.push(padnum);
+        engine.setValue(group, 'beatloop_size', cst.beatroll_triplet_sizes[padnum]);
+        engine.setValue(group, 'beatlooproll_activate', 1);
+    } else if (held.length) {
+        engine.setValue(group, 'beatloop_size', cst.beatroll_triplet_sizes[held[held.length - 1]]);
+    } else {
+        engine.setValue(group, 'beatlooproll_activate', 0);
+        if (PioneerDDJ400.state.deck[deck].beatroll_restore_size !== undefined) {
+            engine.setValue(group, 'beatloop_size', PioneerDDJ400.state.deck[deck].beatroll_restore_size);
+            PioneerDDJ400.state.deck[deck].beatroll_restore_size = undefined;
+        }
+    }
+    PioneerDDJ400.state.deck[deck].beatroll_held_pads = held;
+    it.set_pad_light(cst.pad_modes.fx_2, channel, padnum, true, value ? 0x7F : 0x00);
+}
+
+PioneerDDJ400.handle_fx1 = function (channel, padnum, shift, value) {
     const it = PioneerDDJ400.internal;
+    const cst = PioneerDDJ400.constants;
+    const deck = it.channel_to_deck(channel);
+
+    if (shift) {
+        if (padnum == 0 && value) {
+            it.toggle_vinyl_mode(deck);
+        } else if (padnum == 1 && value) {
+            it.toggle_slip(deck);
+        }
+        return;
+    }
 
     if (padnum == 0) {
-        const mixxx_deck_idx = it.channel_to_deck(channel) + 1;
-        engine.brake(mixxx_deck_idx, value, PioneerDDJ400.constants.brake_speed);
+        const mixxx_deck_idx = deck + 1;
+        engine.brake(mixxx_deck_idx, value, cst.brake_speed);
+        it.set_fx1_running(deck, padnum, value ? true : false);
+        return;
+    }
+
+    // the other pads start timed macros which can not be retriggered while running
+    if (!value || it.get_fx1_running(deck, padnum)) {
         return;
     }
+
+    switch (padnum) {
+        case 1:
+            it.spinback(deck, padnum, false);
+            break;
+        case 2:
+            it.soft_start(deck, padnum);
+            break;
+        case 3:
+            it.echo_out(deck, padnum, cst.times.echo_out);
+            break;
+        case 4:
+            it.filter_sweep(deck, padnum, cst.filter_sweep_lowpass);
+            break;
+        case 5:
+            it.filter_sweep(deck, padnum, cst.filter_sweep_highpass);
+            break;
+        case 6:
+            it.echo_out(deck, padnum, 0);
+            break;
+        case 7:
+            it.spinback(deck, padnum, true);
+            break;
+        default:
+            break;
+    }
 }
 
 PioneerDDJ400.handle_pad = function (padchannel, control, value, status, _group) {
@@ -1588,6 +3090,10 @@ PioneerDDJ400.handle_pad = function (padchannel, control, value, status, _group)
     const mode = control & 0xf0;
     const pad_modes = PioneerDDJ400.constants.pad_modes;
 
+    if (it.handle_deck_select_pad(channel, padnum, value)) {
+        return;
+    }
+
     switch (mode) {
         case pad_modes.hot_cue:
             PioneerDDJ400.handle_hotcue(channel, padnum, shift, value);
@@ -1602,13 +3108,16 @@ PioneerDDJ400.handle_pad = function (padchannel, control, value, status, _group)
             PioneerDDJ400.handle_sampler(channel, padnum, shift, value);
             break;
         case pad_modes.keyboard:
+            PioneerDDJ400.handle_keyboard(channel, padnum, shift, value);
             break;
         case pad_modes.fx_1:
             PioneerDDJ400.handle_fx1(channel, padnum, shift, value);
             break;
         case pad_modes.fx_2:
+            PioneerDDJ400.handle_fx2(channel, padnum, shift, value);
             break;
         case pad_modes.key_shift:
+            PioneerDDJ400.handle_key_shift(channel, padnum, shift, value);
             break;
         default:
             break;
@@ -1622,6 +3131,14 @@ PioneerDDJ400.init = function (_id, _debugging) {
     const it = PioneerDDJ400.internal;
     const cst = PioneerDDJ400.constants;
 
+    // read the settings from the controller preferences
+    it.apply_user_settings();
+
+    // record the incoming messages for tools/replay-session.js
+    if (cst.record_session) {
+        it.record_session();
+    }
+
     // play track loaded animation for fun
     it.track_loaded_animation(1, 0);
     it.track_loaded_animation(1, 1);
@@ -1637,16 +3154,21 @@ PioneerDDJ400.init = function (_id, _debugging) {
     PioneerDDJ400.state.channel[0].beatjump_scalestep = 0;
     PioneerDDJ400.state.channel[1].beatjump_scalestep = 0;
 
-    // set beatjump scale lights
+    // set initial beatloop scale
+    PioneerDDJ400.state.channel[0].beatloop_scalestep = 0;
+    PioneerDDJ400.state.channel[1].beatloop_scalestep = 0;
+
+    // set beatjump and beatloop scale lights
     it.update_beatjump_shift_lights(0);
     it.update_beatjump_shift_lights(1);
+    it.update_beatjump_layout_lights(0);
+    it.update_beatjump_layout_lights(1);
+    it.update_beatloop_lights(0);
+    it.update_beatloop_lights(1);
 
     // set backspin length
     it.set_backspin_length(cst.backspin_length);
 
-    // set brake light
-    it.update_brake_light();
-
     // init head cue split
     it.update_head_split_light(engine.getValue('[Master]', 'headSplit'));
     PioneerDDJ400.state.persistent_connections['head_split'] = engine.makeConnection('[Master]', 'headSplit', it.update_head_split_light);
@@ -1655,6 +3177,12 @@ PioneerDDJ400.init = function (_id, _debugging) {
     PioneerDDJ400.state.channel[0].current_loop_modifier = cst.loop_modifiers.none;
     PioneerDDJ400.state.channel[1].current_loop_modifier = cst.loop_modifiers.none;
 
+    // seed the MSBs of the 14 bit controls
+    for (var msb in cst.initial_msb) {
+        PioneerDDJ400.state.channel[0][msb] = cst.initial_msb[msb];
+        PioneerDDJ400.state.channel[1][msb] = cst.initial_msb[msb];
+    }
+
     // configure soft takeovers
     // effects (effects stay connected, see 'Oddities')
     const num_effect_units = engine.getValue('[EffectRack1]', 'num_effectunits');
@@ -1672,7 +3200,7 @@ PioneerDDJ400.init = function (_id, _debugging) {
         }
     }
 
-    // equalizer, quick effect, trim
+    // equalizer, quick effect, trim, volume, tempo
     for (var deck = 0; deck < 4; deck++) {
         const group = it.deck_to_group(deck);
         const eq_group = '[EqualizerRack1_' + group + '_Effect1]';
@@ -1683,12 +3211,16 @@ PioneerDDJ400.init = function (_id, _debugging) {
         engine.softTakeover('[QuickEffectRack1_' + group + ']', 'super1', true);
         engine.softTakeover(group, 'pregain', true);
         engine.softTakeover(group, 'volume', true);
+        engine.softTakeover(group, 'rate', true);
     }
 
 
     // connect initial channel <-> deck
     it.connect_channel(0);
     it.connect_channel(1);
+
+    // apply the current control positions
+    it.query_control_positions();
 }
 
 PioneerDDJ400.shutdown = function () {
@@ -1699,6 +3231,10 @@ PioneerDDJ400.shutdown = function () {
     }
     PioneerDDJ400.state.persistent_connections = {};
 
+    for (var deck = 0; deck < PioneerDDJ400.state.deck.length; deck++) {
+        PioneerDDJ400.internal.stop_fx1_macros(deck);
+    }
+
     PioneerDDJ400.internal.disconnect_channel(0);
     PioneerDDJ400.internal.disconnect_channel(1);
 }
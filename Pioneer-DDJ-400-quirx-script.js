@@ -27,16 +27,44 @@
 //                SHIFT + < loads previous effect
 //                SHIFT + > loads next effect
 //
-//      * 32 beat jump forward & back (Shift + </> CUE/LOOP CALL arrows)
+//      * 32 beat jump forward & back (Shift + </> CUE/LOOP CALL arrows, when
+//        there is no loop to save or delete)
+//      * CUE/LOOP CALL: saved loops in Mixxx's saved-loop hot cues
+//                < / > halve/double the active loop, otherwise jump to
+//                      the previous/next saved loop
+//                SHIFT + < (MEMORY) saves the active loop into the highest
+//                      free hot cue
+//                SHIFT + > (DELETE) deletes the saved loop that is playing
 //      * Toggle quantize (Shift + channel cue)
+//      * Loop in/out adjust snaps to the beat grid while quantize is on and
+//        moves the loop point by loopAdjustBeats per jog step. SHIFT + jog
+//        adjusts it finely (loopAdjustMultiply samples per tick).
+//      * Beat jump layouts: SHIFT + PAD 1 - 3 in beat jump mode select the
+//        symmetric (+-1/2/4/8), forward (1 - 128) or phrase (+-16/32/64/128)
+//        jump sizes of the deck. The pad of the active layout is lit while
+//        SHIFT is held.
+//      * Sampler banks: SHIFT + BROWSE rotate moves the sampler pads to the
+//        next/previous 16 samplers (17-32, 33-48, ...). The selected bank
+//        is shown briefly on the sampler pads.
+//      * Vinyl mode per deck: SHIFT + PAD 1 in PAD FX1 mode toggles whether
+//        touching the jog wheel scratches. The pad is lit in vinyl mode.
+//      * Slip mode per deck: SHIFT + PAD 2 in PAD FX1 mode toggles it, the
+//        pad is lit while it is on. In slip mode, scratching (touching the jog
+//        wheel) and loops started with RELOOP return to where the track would
+//        be when the jog wheel is released or the loop is exited.
+//      * Hold a sampler pad and turn the jog wheel to change the sampler's
+//        volume (pregain), SHIFT + jog changes its rate.
+//      * Options (vinyl mode, jog wheel, loop adjust step) in the controller
+//        preferences with Mixxx 2.4 and later, see PioneerDDJ400.userSettings.
+//      * Session recording: set PioneerDDJ400.recordSession to true to print
+//        every incoming message to the Mixxx log. The log can be replayed with
+//        tools/replay-session.js.
 //
-//  Not implemented (after discussion and trial attempts):
-//      * Loop Section:
-//        * -4BEAT auto loop (hacky---prefer a clean way to set a 4 beat loop
-//                            from a previous position on long press)
-//
-//        * CUE/LOOP CALL - memory & delete (complex and not useful. Hot cues are sufficient)
+//      * 4BEAT auto loop (long press LOOP IN): uses beatloop_keep_loopin if
+//        Mixxx has it (https://github.com/quirxmode/mixxx/tree/beatloop_keep_loopin),
+//        otherwise the loop out point is set 4 beats after the loop in point.
 //
+//  Not implemented (after discussion and trial attempts):
 //      * Secondary pad modes (trial attempts complex and too experimental)
 //        * Keyboard mode
 //        * Pad FX1
@@ -105,6 +133,13 @@ PioneerDDJ400.timers = {};
 
 // Jog wheel constants
 PioneerDDJ400.vinylMode = true;
+// Vinyl mode of each deck (starts with vinylMode), toggled with SHIFT + PAD 1
+// in PAD FX1 mode
+PioneerDDJ400.deckVinylMode = [true, true];
+// Slip mode of each deck, toggled with SHIFT + PAD 2 in PAD FX1 mode
+PioneerDDJ400.deckSlip = [false, false];
+// Reasons ("scratch", "loop") that currently hold Mixxx's slip_enabled
+PioneerDDJ400.slipHolds = [{}, {}];
 PioneerDDJ400.alpha = 1.0 / 8;
 PioneerDDJ400.beta = PioneerDDJ400.alpha / 32;
 
@@ -120,21 +155,56 @@ PioneerDDJ400.shiftButtonDown = [false, false];
 PioneerDDJ400.loopAdjustIn = [false, false];
 PioneerDDJ400.loopAdjustOut = [false, false];
 PioneerDDJ400.loopAdjustMultiply = 50;
-
-// Beatjump pad (beatjump_size values)
-PioneerDDJ400.beatjumpSizeForPad = {
-    0x20: -1, // PAD 1
-    0x21: 1,  // PAD 2
-    0x22: -2, // PAD 3
-    0x23: 2,  // PAD 4
-    0x24: -4, // PAD 5
-    0x25: 4,  // PAD 6
-    0x26: -8, // PAD 7
-    0x27: 8   // PAD 8
-};
+// With quantize on, loop points snap to the beat grid and move by
+// loopAdjustBeats (1/16 - 1) per loopAdjustTicksPerStep jog ticks
+PioneerDDJ400.loopAdjustBeats = 1 / 4;
+PioneerDDJ400.loopAdjustTicksPerStep = 8;
+PioneerDDJ400.loopAdjustTicks = [0, 0];
+
+// Beatjump pad layouts (beatjump_size values for PAD 1 - 8), selected with
+// SHIFT + PAD 1 - 3 in beat jump mode
+PioneerDDJ400.beatjumpLayouts = [
+    {name: "symmetric", sizes: [-1, 1, -2, 2, -4, 4, -8, 8]},
+    {name: "forward", sizes: [1, 2, 4, 8, 16, 32, 64, 128]},
+    {name: "phrase", sizes: [-16, 16, -32, 32, -64, 64, -128, 128]}
+];
+// Active layout of each deck
+PioneerDDJ400.beatjumpLayout = [0, 0];
+PioneerDDJ400.beatjumpScale = 1;
 
 PioneerDDJ400.quickJumpSize = 32;
 
+// Saved loops (hotcue_X_type of a saved loop)
+PioneerDDJ400.numHotcues = 36;
+PioneerDDJ400.savedLoopCueType = 4;
+
+// Sampler banks (16 samplers per bank, 8 per deck)
+PioneerDDJ400.samplerBank = 0;
+PioneerDDJ400.samplerBankSize = 16;
+PioneerDDJ400.samplerBankDisplayTime = 1000;
+PioneerDDJ400.samplerConnections = [];
+
+// Held sampler pad per deck (jog wheel adjusts its pregain, +SHIFT its rate)
+PioneerDDJ400.heldSampler = [null, null];
+PioneerDDJ400.samplerPregainStep = 1 / 720;
+PioneerDDJ400.samplerRateStep = 1 / 1440;
+
+// Print incoming messages to the log ("DDJ-400 session: <ms> <status> <midino> <value>")
+PioneerDDJ400.recordSession = false;
+
+// Whether Mixxx has beatloop_keep_loopin (undefined until the first 4BEAT loop)
+PioneerDDJ400.beatloopKeepLoopin = undefined;
+
+// Options that can be changed in the controller preferences (<settings> in
+// the XML, Mixxx 2.4 and later). They replace the values above at init.
+PioneerDDJ400.userSettings = {
+    vinylMode: {type: "boolean"},
+    alpha: {type: "number", min: 0.02, max: 1},
+    bendScale: {type: "number", min: 0.1, max: 4},
+    fastSeekScale: {type: "number", min: 10, max: 1000},
+    loopAdjustBeats: {type: "enum", values: {"1/16": 1 / 16, "1/8": 1 / 8, "1/4": 1 / 4, "1/2": 1 / 2, "1": 1}},
+};
+
 // Used for tempo slider
 PioneerDDJ400.highResMSB = {
     "[Channel1]": {},
@@ -157,8 +227,38 @@ PioneerDDJ400.toggleLight = function (midiIn, active) {
 // Init
 //
 
+PioneerDDJ400.applyUserSettings = function () {
+    // Mixxx before 2.4 has no controller settings, the defaults are used as they are.
+    if (typeof engine.getSetting !== "function") {
+        return;
+    }
+
+    Object.keys(PioneerDDJ400.userSettings).forEach(function (name) {
+        var setting = PioneerDDJ400.userSettings[name];
+        var value = engine.getSetting(name);
+        if (value === undefined || value === null) {
+            return;
+        }
+
+        if (setting.type === "boolean" && typeof value === "boolean") {
+            PioneerDDJ400[name] = value;
+        } else if (setting.type === "number" && typeof value === "number" && value >= setting.min && value <= setting.max) {
+            PioneerDDJ400[name] = value;
+        } else if (setting.type === "enum" && setting.values[value] !== undefined) {
+            PioneerDDJ400[name] = setting.values[value];
+        } else {
+            print("Ignoring invalid setting " + name + " = " + value + ", keeping " + PioneerDDJ400[name] + ".");
+        }
+    });
+    PioneerDDJ400.beta = PioneerDDJ400.alpha / 32;
+};
+
 PioneerDDJ400.init = function () {
     print("Loading Quirx DDJ-400 Mapping.");
+    PioneerDDJ400.applyUserSettings();
+    if (PioneerDDJ400.recordSession) {
+        PioneerDDJ400.recordHandlers();
+    }
     engine.setValue("[EffectRack1_EffectUnit1]", "show_focus", 1);
 
     engine.makeConnection("[Channel1]", "VuMeter", PioneerDDJ400.vuMeterUpdate);
@@ -174,9 +274,16 @@ PioneerDDJ400.init = function () {
     engine.softTakeover("[EffectRack1_EffectUnit1_Effect3]", "meta", true);
     engine.softTakeover("[EffectRack1_EffectUnit1]", "mix", true);
 
-    for (var i = 1; i <= 16; ++i) {
-        engine.makeConnection("[Sampler" + i + "]", "play", PioneerDDJ400.samplerPlayOutputCallbackFunction);
-    }
+    PioneerDDJ400.connectSamplers();
+
+    PioneerDDJ400.setBeatjumpLayoutLights(0);
+    PioneerDDJ400.setBeatjumpLayoutLights(1);
+
+    PioneerDDJ400.deckVinylMode = [PioneerDDJ400.vinylMode, PioneerDDJ400.vinylMode];
+    PioneerDDJ400.setVinylModeLight(0);
+    PioneerDDJ400.setVinylModeLight(1);
+    PioneerDDJ400.setSlipLight(0);
+    PioneerDDJ400.setSlipLight(1);
 
     engine.makeConnection("[Channel1]", "track_loaded", PioneerDDJ400.trackLoadedLED);
     engine.makeConnection("[Channel2]", "track_loaded", PioneerDDJ400.trackLoadedLED);
@@ -200,6 +307,41 @@ PioneerDDJ400.init = function () {
     midi.sendSysexMsg([0xF0, 0x00, 0x40, 0x05, 0x00, 0x00, 0x02, 0x06, 0x00, 0x03, 0x01, 0xf7], 12);
 };
 
+//
+// Session recording
+//
+
+PioneerDDJ400.toHex = function (value) {
+    return "0x" + ("0" + value.toString(16).toUpperCase()).slice(-2);
+};
+
+// Wrap the handlers to print every incoming message. Calls from inside the
+// script and output callbacks (which have no status) are not printed.
+PioneerDDJ400.recordHandlers = function () {
+    var start = Date.now();
+    var depth = 0;
+
+    Object.keys(PioneerDDJ400).forEach(function (name) {
+        var handler = PioneerDDJ400[name];
+        if (typeof handler !== "function" || name === "init" || name === "shutdown" || name === "recordHandlers") {
+            return;
+        }
+
+        PioneerDDJ400[name] = function (channel, control, value, status, _group) {
+            if (depth === 0 && typeof status === "number") {
+                print("DDJ-400 session: " + (Date.now() - start) + " " + PioneerDDJ400.toHex(status) + " " +
+                    PioneerDDJ400.toHex(control) + " " + PioneerDDJ400.toHex(value));
+            }
+            depth++;
+            try {
+                return handler.apply(this, arguments);
+            } finally {
+                depth--;
+            }
+        };
+    });
+};
+
 //
 // Channel level lights
 //
@@ -317,14 +459,44 @@ PioneerDDJ400.loop_in = function (channel, control, value, status, group) {
     engine.setValue(group, "loop_in", 0);
 }
 
-PioneerDDJ400.loop_in_4beat = function (channel, control, value, status, group) {
-    print("##############>> loop_in_4beat(" + channel + ', ' + control + ', ' + value + ', ' + status + ', ' + group + ')');
+PioneerDDJ400.loop_in_4beat = function (_channel, _control, _value, _status, group) {
+    if (engine.getValue(group, "loop_enabled")) {
+        return;
+    }
+
+    if (PioneerDDJ400.hasBeatloopKeepLoopin(group)) {
+        engine.setValue(group, "beatloop_keep_loopin", 4);
+        return;
+    }
+
+    // stock Mixxx: loop from the loop in point, or from the last beat if there is none
+    var beatSamples = PioneerDDJ400.beatSamples(group);
+    if (beatSamples <= 0) {
+        return;
+    }
     var start = engine.getValue(group, "loop_start_position");
-    print("##############>> loop start pos: " + start);
-    engine.setValue(group, "beatloop_keep_loopin", 4);
-    print("##############>> loop start pos: " + engine.getValue(group, "loop_start_position"));
-    print("##############>> loop end pos:   " + engine.getValue(group, "loop_end_position"));
-}
+    if (start < 0) {
+        start = Math.max(0, engine.getValue(group, "playposition") * engine.getValue(group, "track_samples") -
+            engine.getValue(group, "beat_distance") * beatSamples);
+        engine.setValue(group, "loop_start_position", start);
+    }
+    engine.setValue(group, "loop_end_position", start + 4 * beatSamples);
+    engine.setValue(group, "reloop_toggle", 1);
+};
+
+// beatloop_keep_loopin only exists in Mixxx with PR #4491. engine.getValue
+// returns 0 for controls that do not exist, but connecting to them returns
+// undefined, so a probe connection is made once and disconnected right away.
+PioneerDDJ400.hasBeatloopKeepLoopin = function (group) {
+    if (PioneerDDJ400.beatloopKeepLoopin === undefined) {
+        var connection = engine.makeConnection(group, "beatloop_keep_loopin", function () {});
+        PioneerDDJ400.beatloopKeepLoopin = connection ? true : false;
+        if (connection) {
+            connection.disconnect();
+        }
+    }
+    return PioneerDDJ400.beatloopKeepLoopin;
+};
 
 PioneerDDJ400.loop_out = function (channel, control, value, status, group) {
     if (!value) {
@@ -342,6 +514,7 @@ PioneerDDJ400.toggleLoopAdjustIn = function (channel, _control, value, _status,
     }
     PioneerDDJ400.loopAdjustIn[channel] = !PioneerDDJ400.loopAdjustIn[channel];
     PioneerDDJ400.loopAdjustOut[channel] = false;
+    PioneerDDJ400.loopAdjustTicks[channel] = 0;
 };
 
 PioneerDDJ400.toggleLoopAdjustOut = function (channel, _control, value, _status, group) {
@@ -350,6 +523,7 @@ PioneerDDJ400.toggleLoopAdjustOut = function (channel, _control, value, _status,
     }
     PioneerDDJ400.loopAdjustOut[channel] = !PioneerDDJ400.loopAdjustOut[channel];
     PioneerDDJ400.loopAdjustIn[channel] = false;
+    PioneerDDJ400.loopAdjustTicks[channel] = 0;
 };
 
 // Two signals are sent here so that the light stays lit/unlit in its shift state too
@@ -416,25 +590,133 @@ PioneerDDJ400.loopToggle = function (value, group, control) {
         PioneerDDJ400.stopLoopLightsBlink(group, control, status);
         PioneerDDJ400.loopAdjustIn[channel] = false;
         PioneerDDJ400.loopAdjustOut[channel] = false;
+        PioneerDDJ400.endSlip(channel, "loop");
+    }
+};
+
+PioneerDDJ400.reloopToggle = function (_channel, _control, value, _status, group) {
+    var channel = group === "[Channel1]" ? 0 : 1;
+
+    if (value === 0) {
+        return;
+    }
+    // in slip mode, exiting the loop returns to the slip position (see loopToggle)
+    if (!engine.getValue(group, "loop_enabled") && engine.getValue(group, "loop_start_position") >= 0 &&
+        engine.getValue(group, "loop_end_position") >= 0) {
+        PioneerDDJ400.beginSlip(channel, "loop");
     }
+    engine.setValue(group, "reloop_toggle", 1);
 };
 
 //
 // CUE/LOOP CALL
 //
 
+PioneerDDJ400.getSavedLoops = function (group) {
+    var loops = [];
+    for (var i = 1; i <= PioneerDDJ400.numHotcues; i++) {
+        if (engine.getValue(group, "hotcue_" + i + "_type") === PioneerDDJ400.savedLoopCueType) {
+            loops.push({
+                hotcue: i,
+                position: engine.getValue(group, "hotcue_" + i + "_position")
+            });
+        }
+    }
+
+    loops.sort(function (a, b) {
+        return a.position - b.position;
+    });
+    return loops;
+};
+
+PioneerDDJ400.getActiveSavedLoop = function (group) {
+    if (!engine.getValue(group, "loop_enabled")) {
+        return undefined;
+    }
+
+    var loopStart = engine.getValue(group, "loop_start_position");
+    var loops = PioneerDDJ400.getSavedLoops(group);
+    for (var i = 0; i < loops.length; i++) {
+        if (loops[i].position === loopStart) {
+            return loops[i].hotcue;
+        }
+    }
+    return undefined;
+};
+
+// Jump to the previous/next saved loop from the play position. Returns false
+// while a loop is active or if there is no saved loop in that direction.
+PioneerDDJ400.callSavedLoop = function (group, forward) {
+    if (engine.getValue(group, "loop_enabled")) {
+        return false;
+    }
+
+    var loops = PioneerDDJ400.getSavedLoops(group),
+        position = engine.getValue(group, "playposition") * engine.getValue(group, "track_samples"),
+        target;
+    for (var i = 0; i < loops.length; i++) {
+        if (forward && loops[i].position > position) {
+            target = loops[i];
+            break;
+        }
+        if (!forward && loops[i].position < position) {
+            target = loops[i];
+        }
+    }
+
+    if (target === undefined) {
+        return false;
+    }
+
+    engine.setValue(group, "hotcue_" + target.hotcue + "_gotoandloop", 1);
+    return true;
+};
+
 PioneerDDJ400.cueLoopCallLeft = function (_channel, _control, value, _status, group) {
-    if (value) {
+    if (value && !PioneerDDJ400.callSavedLoop(group, false)) {
         engine.setValue(group, "loop_scale", 0.5);
     }
 };
 
 PioneerDDJ400.cueLoopCallRight = function (_channel, _control, value, _status, group) {
-    if (value) {
+    if (value && !PioneerDDJ400.callSavedLoop(group, true)) {
         engine.setValue(group, "loop_scale", 2.0);
     }
 };
 
+PioneerDDJ400.cueLoopCallMemory = function (channel, control, value, status, group) {
+    if (value === 0) { return; }
+
+    if (!engine.getValue(group, "loop_enabled")) {
+        PioneerDDJ400.quickJumpBack(channel, control, value, status, group);
+        return;
+    }
+
+    if (PioneerDDJ400.getActiveSavedLoop(group) !== undefined) {
+        return;
+    }
+
+    // fill up from the highest hot cue to keep the hot cue pads free
+    for (var i = PioneerDDJ400.numHotcues; i >= 1; i--) {
+        if (!engine.getValue(group, "hotcue_" + i + "_type")) {
+            engine.setValue(group, "hotcue_" + i + "_setloop", 1);
+            return;
+        }
+    }
+};
+
+PioneerDDJ400.cueLoopCallDelete = function (channel, control, value, status, group) {
+    if (value === 0) { return; }
+
+    var hotcue = PioneerDDJ400.getActiveSavedLoop(group);
+    if (hotcue === undefined) {
+        PioneerDDJ400.quickJumpForward(channel, control, value, status, group);
+        return;
+    }
+
+    engine.setValue(group, "hotcue_" + hotcue + "_clear", 1);
+};
+
 //
 // BEAT SYNC
 //
@@ -475,24 +757,77 @@ PioneerDDJ400.cycleTempoRange = function (_channel, _control, value, _status, gr
 // Jog wheels
 //
 
+// Length of a beat in samples (both channels, like the loop positions)
+PioneerDDJ400.beatSamples = function (group) {
+    var bpm = engine.getValue(group, "file_bpm");
+    if (bpm <= 0) {
+        return 0;
+    }
+    return engine.getValue(group, "track_samplerate") * 2 * 60 / bpm;
+};
+
+// Move the adjusted loop point by jog ticks, returns false if no loop point
+// is adjusted. The loop keeps a length of at least one step.
+PioneerDDJ400.adjustLoopPoint = function (channel, group, ticks, fine) {
+    var adjustIn = PioneerDDJ400.loopAdjustIn[channel];
+    if (!(engine.getValue(group, "loop_enabled") > 0) || !(adjustIn || PioneerDDJ400.loopAdjustOut[channel])) {
+        return false;
+    }
+
+    var start = engine.getValue(group, "loop_start_position");
+    var end = engine.getValue(group, "loop_end_position");
+    var beatSamples = PioneerDDJ400.beatSamples(group);
+    var point = adjustIn ? start : end;
+    var minLength;
+
+    if (fine || !engine.getValue(group, "quantize") || beatSamples <= 0) {
+        minLength = PioneerDDJ400.loopAdjustMultiply;
+        point += ticks * PioneerDDJ400.loopAdjustMultiply;
+        point = adjustIn ? Math.min(point, end - minLength) : Math.max(point, start + minLength);
+    } else {
+        var perStep = PioneerDDJ400.loopAdjustTicksPerStep;
+        var acc = PioneerDDJ400.loopAdjustTicks[channel] + ticks;
+        var steps = acc < 0 ? Math.ceil(acc / perStep) : Math.floor(acc / perStep);
+        PioneerDDJ400.loopAdjustTicks[channel] = acc - steps * perStep;
+        if (steps === 0) {
+            return true;
+        }
+
+        // the grid starts at the beat before the play position, the first
+        // step snaps an off-grid point to the grid
+        minLength = beatSamples * PioneerDDJ400.loopAdjustBeats;
+        var origin = engine.getValue(group, "playposition") * engine.getValue(group, "track_samples") -
+            engine.getValue(group, "beat_distance") * beatSamples;
+        var index = (point - origin) / minLength;
+        var gridIndex = steps > 0 ? Math.floor(index + 1e-6) : Math.ceil(index - 1e-6);
+        point = origin + (gridIndex + steps) * minLength;
+        if (adjustIn ? point > end - minLength : point < start + minLength) {
+            return true;
+        }
+    }
+
+    if (adjustIn) {
+        engine.setValue(group, "loop_start_position", Math.max(0, point));
+    } else {
+        engine.setValue(group, "loop_end_position", point);
+    }
+    return true;
+};
+
 PioneerDDJ400.jogTurn = function (channel, _control, value, _status, group) {
     var deckNum = channel + 1;
     // wheel center at 64; <64 rew >64 fwd
     var newVal = value - 64;
 
-    // loop_in / out adjust
-    var loopEnabled = engine.getValue(group, "loop_enabled");
-    if (loopEnabled > 0) {
-        if (PioneerDDJ400.loopAdjustIn[channel]) {
-            newVal = newVal * PioneerDDJ400.loopAdjustMultiply + engine.getValue(group, "loop_start_position");
-            engine.setValue(group, "loop_start_position", newVal);
-            return;
-        }
-        if (PioneerDDJ400.loopAdjustOut[channel]) {
-            newVal = newVal * PioneerDDJ400.loopAdjustMultiply + engine.getValue(group, "loop_end_position");
-            engine.setValue(group, "loop_end_position", newVal);
-            return;
-        }
+    // a held sampler pad takes the jog wheel
+    if (PioneerDDJ400.heldSampler[channel] !== null) {
+        PioneerDDJ400.adjustHeldSampler(channel, "pregain", newVal * PioneerDDJ400.samplerPregainStep);
+        return;
+    }
+
+    // loop_in / out adjust (on the beat grid while quantize is on)
+    if (PioneerDDJ400.adjustLoopPoint(channel, group, newVal, false)) {
+        return;
     }
 
     if (engine.isScratching(deckNum)) {
@@ -503,7 +838,17 @@ PioneerDDJ400.jogTurn = function (channel, _control, value, _status, group) {
 };
 
 
-PioneerDDJ400.jogSearch = function (_channel, _control, value, _status, group) {
+PioneerDDJ400.jogSearch = function (channel, _control, value, _status, group) {
+    if (PioneerDDJ400.heldSampler[channel] !== null) {
+        PioneerDDJ400.adjustHeldSampler(channel, "rate", (value - 64) * PioneerDDJ400.samplerRateStep);
+        return;
+    }
+
+    // fine loop_in / out adjust
+    if (PioneerDDJ400.adjustLoopPoint(channel, group, value - 64, true)) {
+        return;
+    }
+
     var newVal = (value - 64) * PioneerDDJ400.fastSeekScale;
     engine.setValue(group, "jog", newVal);
 };
@@ -516,10 +861,82 @@ PioneerDDJ400.jogTouch = function (channel, _control, value) {
         return;
     }
 
-    if (value !== 0 && this.vinylMode) {
+    // don't scratch while the jog wheel adjusts a held sampler
+    if (value !== 0 && PioneerDDJ400.deckVinylMode[channel] && PioneerDDJ400.heldSampler[channel] === null) {
+        PioneerDDJ400.beginSlip(channel, "scratch");
         engine.scratchEnable(deckNum, 720, 33 + 1 / 3, this.alpha, this.beta);
     } else {
         engine.scratchDisable(deckNum);
+        PioneerDDJ400.endSlip(channel, "scratch");
+    }
+};
+
+// light SHIFT + PAD 1 in PAD FX1 mode while the deck is in vinyl mode
+PioneerDDJ400.setVinylModeLight = function (channel) {
+    midi.sendShortMsg(0x98 + 2 * channel, 0x10, PioneerDDJ400.deckVinylMode[channel] ? 0x7F : 0x00);
+};
+
+PioneerDDJ400.toggleVinylMode = function (_channel, _control, value, _status, group) {
+    var channel = group.match(script.channelRegEx)[1] - 1;
+
+    if (value === 0) {
+        return;
+    }
+    PioneerDDJ400.deckVinylMode[channel] = !PioneerDDJ400.deckVinylMode[channel];
+    print("Deck " + (channel + 1) + " vinyl mode: " + (PioneerDDJ400.deckVinylMode[channel] ? "on" : "off"));
+    PioneerDDJ400.setVinylModeLight(channel);
+};
+
+// light SHIFT + PAD 2 in PAD FX1 mode while the deck is in slip mode
+PioneerDDJ400.setSlipLight = function (channel) {
+    midi.sendShortMsg(0x98 + 2 * channel, 0x11, PioneerDDJ400.deckSlip[channel] ? 0x7F : 0x00);
+};
+
+PioneerDDJ400.toggleSlip = function (_channel, _control, value, _status, group) {
+    var channel = group.match(script.channelRegEx)[1] - 1;
+
+    if (value === 0) {
+        return;
+    }
+    PioneerDDJ400.deckSlip[channel] = !PioneerDDJ400.deckSlip[channel];
+    print("Deck " + (channel + 1) + " slip mode: " + (PioneerDDJ400.deckSlip[channel] ? "on" : "off"));
+    if (!PioneerDDJ400.deckSlip[channel]) {
+        Object.keys(PioneerDDJ400.slipHolds[channel]).forEach(function (reason) {
+            PioneerDDJ400.endSlip(channel, reason);
+        });
+    }
+    PioneerDDJ400.setSlipLight(channel);
+};
+
+// Enable Mixxx's slip mode for a scratch or loop if the deck is in slip mode.
+// It is only held if it was off, so beat loop rolls and reverse roll (which
+// use slip mode themselves) are not cut short.
+PioneerDDJ400.beginSlip = function (channel, reason) {
+    var group = "[Channel" + (channel + 1) + "]",
+        holds = PioneerDDJ400.slipHolds[channel];
+
+    if (!PioneerDDJ400.deckSlip[channel]) {
+        return;
+    }
+    if (!engine.getValue(group, "slip_enabled")) {
+        engine.setValue(group, "slip_enabled", 1);
+        holds[reason] = true;
+    } else if (Object.keys(holds).length > 0) {
+        holds[reason] = true;
+    }
+};
+
+// Release the slip held for the reason; the deck returns to the slip position
+// when nothing holds it anymore.
+PioneerDDJ400.endSlip = function (channel, reason) {
+    var holds = PioneerDDJ400.slipHolds[channel];
+
+    if (!holds[reason]) {
+        return;
+    }
+    delete holds[reason];
+    if (Object.keys(holds).length === 0) {
+        engine.setValue("[Channel" + (channel + 1) + "]", "slip_enabled", 0);
     }
 };
 
@@ -557,54 +974,207 @@ PioneerDDJ400.tempoSliderLSB = function (channel, control, value, status, group)
 //
 // Beat Jump mode
 //
-// Note that when we increase/decrease the sizes on the pad buttons, we use the
-// value of the first pad (0x21) as an upper/lower limit beyond which we don't
-// allow further increasing/decreasing of all the values.
+// Note that when we increase/decrease the sizes on the pad buttons, the sizes
+// of all layouts are scaled by 1/16 or 16 at most.
 //
 
+PioneerDDJ400.beatjumpSize = function (group, control) {
+    var channel = group === "[Channel1]" ? 0 : 1,
+        sizes = PioneerDDJ400.beatjumpLayouts[PioneerDDJ400.beatjumpLayout[channel]].sizes;
+    return sizes[control - 0x20] * PioneerDDJ400.beatjumpScale;
+};
+
 PioneerDDJ400.beatjumpPadPressed = function (_channel, control, value, _status, group) {
     if (value === 0) {
         return;
     }
-    engine.setValue(group, "beatjump_size", Math.abs(PioneerDDJ400.beatjumpSizeForPad[control]));
-    engine.setValue(group, "beatjump", PioneerDDJ400.beatjumpSizeForPad[control]);
+    engine.setValue(group, "beatjump_size", Math.abs(PioneerDDJ400.beatjumpSize(group, control)));
+    engine.setValue(group, "beatjump", PioneerDDJ400.beatjumpSize(group, control));
 };
 
 PioneerDDJ400.increaseBeatjumpSizes = function (_channel, control, value, _status, group) {
-    if (value === 0 || PioneerDDJ400.beatjumpSizeForPad[0x21] * 16 > 16) {
+    if (value === 0 || PioneerDDJ400.beatjumpScale * 16 > 16) {
         return;
     }
-    Object.keys(PioneerDDJ400.beatjumpSizeForPad).forEach(function (pad) {
-        PioneerDDJ400.beatjumpSizeForPad[pad] = PioneerDDJ400.beatjumpSizeForPad[pad] * 16;
-    });
-    engine.setValue(group, "beatjump_size", PioneerDDJ400.beatjumpSizeForPad[0x21]);
+    PioneerDDJ400.beatjumpScale = PioneerDDJ400.beatjumpScale * 16;
+    engine.setValue(group, "beatjump_size", Math.abs(PioneerDDJ400.beatjumpSize(group, 0x21)));
 };
 
 PioneerDDJ400.decreaseBeatjumpSizes = function (_channel, control, value, _status, group) {
-    if (value === 0 || PioneerDDJ400.beatjumpSizeForPad[0x21] / 16 < 1 / 16) {
+    if (value === 0 || PioneerDDJ400.beatjumpScale / 16 < 1 / 16) {
         return;
     }
-    Object.keys(PioneerDDJ400.beatjumpSizeForPad).forEach(function (pad) {
-        PioneerDDJ400.beatjumpSizeForPad[pad] = PioneerDDJ400.beatjumpSizeForPad[pad] / 16;
-    });
-    engine.setValue(group, "beatjump_size", PioneerDDJ400.beatjumpSizeForPad[0x21]);
+    PioneerDDJ400.beatjumpScale = PioneerDDJ400.beatjumpScale / 16;
+    engine.setValue(group, "beatjump_size", Math.abs(PioneerDDJ400.beatjumpSize(group, 0x21)));
+};
+
+// light SHIFT + PAD 1 - 3 of the deck's active layout
+PioneerDDJ400.setBeatjumpLayoutLights = function (channel) {
+    for (var i = 0; i < PioneerDDJ400.beatjumpLayouts.length; ++i) {
+        midi.sendShortMsg(0x98 + 2 * channel, 0x20 + i, i === PioneerDDJ400.beatjumpLayout[channel] ? 0x7F : 0x00);
+    }
+};
+
+PioneerDDJ400.selectBeatjumpLayout = function (_channel, control, value, _status, group) {
+    var channel = group === "[Channel1]" ? 0 : 1;
+
+    if (value === 0) {
+        return;
+    }
+    PioneerDDJ400.beatjumpLayout[channel] = control - 0x20;
+    print("Deck " + (channel + 1) + " beat jump layout: " + PioneerDDJ400.beatjumpLayouts[PioneerDDJ400.beatjumpLayout[channel]].name);
+    PioneerDDJ400.setBeatjumpLayoutLights(channel);
 };
 
 //
 // Sampler mode
 //
 
+// Map the sampler group of a pad in the XML ([Sampler1] - [Sampler16]) to
+// the sampler of the selected bank.
+PioneerDDJ400.samplerGroup = function (group) {
+    var sampler = parseInt(group.match(script.samplerRegEx)[1]);
+    return "[Sampler" + (sampler + PioneerDDJ400.samplerBank * PioneerDDJ400.samplerBankSize) + "]";
+};
+
+// Pad number (1 - 16) of a sampler in the selected bank
+PioneerDDJ400.samplerPad = function (group) {
+    var sampler = parseInt(group.match(script.samplerRegEx)[1]);
+    return sampler - PioneerDDJ400.samplerBank * PioneerDDJ400.samplerBankSize;
+};
+
+PioneerDDJ400.samplerPadStatus = function (curPad) {
+    return 0x97 + (curPad > 8 ? 2 : 0);
+};
+
+PioneerDDJ400.samplerPadControl = function (curPad) {
+    return 0x30 + ((curPad > 8 ? curPad - 8 : curPad) - 1);
+};
+
+// The last bank has fewer samplers if num_samplers is not a multiple of the
+// bank size, the other pads have no sampler
+PioneerDDJ400.hasSampler = function (group) {
+    var sampler = parseInt(group.match(script.samplerRegEx)[1]);
+    return sampler <= engine.getValue("[App]", "num_samplers");
+};
+
+PioneerDDJ400.getNumSamplerBanks = function () {
+    var numSamplers = engine.getValue("[App]", "num_samplers");
+    return Math.max(1, Math.ceil(numSamplers / PioneerDDJ400.samplerBankSize));
+};
+
 PioneerDDJ400.samplerPlayOutputCallbackFunction = function (value, group, _control) {
     if (value === 1) {
-        var curPad = group.match(script.samplerRegEx)[1];
+        var curPad = PioneerDDJ400.samplerPad(group);
         PioneerDDJ400.startSamplerBlink(
-            0x97 + (curPad > 8 ? 2 : 0),
-            0x30 + ((curPad > 8 ? curPad - 8 : curPad) - 1),
+            PioneerDDJ400.samplerPadStatus(curPad),
+            PioneerDDJ400.samplerPadControl(curPad),
             group);
     }
 };
 
-PioneerDDJ400.samplerPadPressed = function (_channel, _control, value, _status, group) {
+PioneerDDJ400.samplerLoadedOutputCallbackFunction = function (value, group, _control) {
+    var curPad = PioneerDDJ400.samplerPad(group);
+    var status = PioneerDDJ400.samplerPadStatus(curPad);
+    var control = PioneerDDJ400.samplerPadControl(curPad);
+
+    if (engine.getValue(group, "play") === 1) {
+        return;
+    }
+    PioneerDDJ400.stopSamplerBlink(status, control);
+    midi.sendShortMsg(status, control, value > 0.5 ? 0x7F : 0x00);
+    midi.sendShortMsg(status + 1, control, value > 0.5 ? 0x7F : 0x00);
+};
+
+PioneerDDJ400.disconnectSamplers = function () {
+    PioneerDDJ400.samplerConnections.forEach(function (connection) {
+        connection.disconnect();
+    });
+    PioneerDDJ400.samplerConnections = [];
+
+    for (var curPad = 1; curPad <= PioneerDDJ400.samplerBankSize; ++curPad) {
+        PioneerDDJ400.stopSamplerBlink(
+            PioneerDDJ400.samplerPadStatus(curPad),
+            PioneerDDJ400.samplerPadControl(curPad));
+    }
+};
+
+// (Re)connect the sampler pad LEDs to the samplers of the selected bank
+PioneerDDJ400.connectSamplers = function () {
+    PioneerDDJ400.disconnectSamplers();
+
+    for (var curPad = 1; curPad <= PioneerDDJ400.samplerBankSize; ++curPad) {
+        var group = "[Sampler" + (curPad + PioneerDDJ400.samplerBank * PioneerDDJ400.samplerBankSize) + "]";
+        if (!PioneerDDJ400.hasSampler(group)) {
+            midi.sendShortMsg(PioneerDDJ400.samplerPadStatus(curPad), PioneerDDJ400.samplerPadControl(curPad), 0x00);
+            midi.sendShortMsg(PioneerDDJ400.samplerPadStatus(curPad) + 1, PioneerDDJ400.samplerPadControl(curPad), 0x00);
+            continue;
+        }
+        var loaded = engine.makeConnection(group, "track_loaded", PioneerDDJ400.samplerLoadedOutputCallbackFunction);
+        var play = engine.makeConnection(group, "play", PioneerDDJ400.samplerPlayOutputCallbackFunction);
+        loaded.trigger();
+        play.trigger();
+        PioneerDDJ400.samplerConnections.push(loaded, play);
+    }
+};
+
+// Light the pad of the selected bank (bank 1 = pad 1, ...) on both decks
+PioneerDDJ400.showSamplerBank = function () {
+    var bankPad = PioneerDDJ400.samplerBank % 8;
+
+    PioneerDDJ400.disconnectSamplers();
+    if (PioneerDDJ400.timers.samplerBank !== undefined) {
+        engine.stopTimer(PioneerDDJ400.timers.samplerBank);
+    }
+    [0x97, 0x99].forEach(function (status) {
+        for (var i = 0; i <= 7; ++i) {
+            midi.sendShortMsg(status, 0x30 + i, i === bankPad ? 0x7F : 0x00);
+            midi.sendShortMsg(status + 1, 0x30 + i, i === bankPad ? 0x7F : 0x00);
+        }
+    });
+    PioneerDDJ400.timers.samplerBank = engine.beginTimer(PioneerDDJ400.samplerBankDisplayTime, function () {
+        PioneerDDJ400.timers.samplerBank = undefined;
+        PioneerDDJ400.connectSamplers();
+    }, true);
+};
+
+PioneerDDJ400.samplerBankSelect = function (_channel, _control, value, _status, _group) {
+    var numBanks = PioneerDDJ400.getNumSamplerBanks();
+    var direction = value < 0x40 ? 1 : -1;
+    var bank = PioneerDDJ400.samplerBank + direction;
+
+    if (bank < 0 || bank >= numBanks) {
+        return;
+    }
+    PioneerDDJ400.samplerBank = bank;
+    print("Sampler bank " + (bank + 1) + " (samplers " +
+        (bank * PioneerDDJ400.samplerBankSize + 1) + "-" +
+        ((bank + 1) * PioneerDDJ400.samplerBankSize) + ")");
+    PioneerDDJ400.showSamplerBank();
+};
+
+// Sampler pads are on MIDI channels 7/8 (deck 1) and 9/10 (deck 2)
+PioneerDDJ400.holdSampler = function (channel, group, value) {
+    var deck = channel >= 9 ? 1 : 0;
+    if (value) {
+        PioneerDDJ400.heldSampler[deck] = group;
+    } else if (PioneerDDJ400.heldSampler[deck] === group) {
+        PioneerDDJ400.heldSampler[deck] = null;
+    }
+};
+
+PioneerDDJ400.adjustHeldSampler = function (channel, control, step) {
+    var group = PioneerDDJ400.heldSampler[channel];
+    var newVal = engine.getParameter(group, control) + step;
+    engine.setParameter(group, control, Math.max(0, Math.min(1, newVal)));
+};
+
+PioneerDDJ400.samplerPadPressed = function (channel, _control, value, _status, group) {
+    group = PioneerDDJ400.samplerGroup(group);
+    if (!PioneerDDJ400.hasSampler(group)) {
+        return;
+    }
+    PioneerDDJ400.holdSampler(channel, group, value);
     if (engine.getValue(group, "track_loaded")) {
         engine.setValue(group, "cue_gotoandplay", value);
     } else {
@@ -612,7 +1182,12 @@ PioneerDDJ400.samplerPadPressed = function (_channel, _control, value, _status,
     }
 };
 
-PioneerDDJ400.samplerPadShiftPressed = function (_channel, _control, value, _status, group) {
+PioneerDDJ400.samplerPadShiftPressed = function (channel, _control, value, _status, group) {
+    group = PioneerDDJ400.samplerGroup(group);
+    if (!PioneerDDJ400.hasSampler(group)) {
+        return;
+    }
+    PioneerDDJ400.holdSampler(channel, group, value);
     if (engine.getValue(group, "play")) {
         engine.setValue(group, "cue_gotoandstop", value);
     } else if (engine.getValue(group, "track_loaded")) {
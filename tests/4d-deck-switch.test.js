@@ -0,0 +1,68 @@
+// Scenario tests for deck switching in the 4-deck script.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+
+function start() {
+    return helpers.start(helpers.presets.four_deck, {
+        before_init: function (P) {
+            P.constants.enable_double_press_deck_swap = true;
+        },
+    });
+}
+
+function press_shift_left(mixxx) {
+    mixxx.receive(0x90, 0x3F, 0x7F);
+    mixxx.advance(50);
+    mixxx.receive(0x90, 0x3F, 0x00);
+    mixxx.advance(50);
+}
+
+test('double-press shift switches to deck 3 and hot cue LEDs reflect deck 3', function () {
+    const { mixxx, P } = start();
+    mixxx.set_value('[Channel1]', 'hotcue_2_enabled', 1);
+    mixxx.set_value('[Channel3]', 'hotcue_1_enabled', 1);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x01), 0x7F);
+
+    press_shift_left(mixxx);
+    press_shift_left(mixxx);
+    mixxx.advance(2000);
+
+    assert.strictEqual(P.internal.channel_to_deck(0), 2);
+    assert.strictEqual(P.internal.channel_to_deck(1), 1);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x00), 0x7F);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x01), 0x00);
+
+    // deck 1 is no longer shown on the left pads
+    mixxx.set_value('[Channel1]', 'hotcue_1_enabled', 0);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x00), 0x7F);
+});
+
+test('two slow shift presses do not switch the deck', function () {
+    const { mixxx, P } = start();
+
+    press_shift_left(mixxx);
+    mixxx.advance(1000);
+    press_shift_left(mixxx);
+    mixxx.advance(2000);
+
+    assert.strictEqual(P.internal.channel_to_deck(0), 0);
+});
+
+test('the pads flash once per deck number before the lights come back', function () {
+    const { mixxx } = start();
+    mixxx.midi_log.length = 0;
+
+    press_shift_left(mixxx);
+    press_shift_left(mixxx);
+    mixxx.advance(2000);
+
+    const flashes = mixxx.midi_log.filter(function (message) {
+        return message.status === 0x97 && message.midino === 0x40 && message.value === 0x7F;
+    });
+    assert.strictEqual(flashes.length, 3);
+});
@@ -0,0 +1,53 @@
+// Scenario tests for the per-deck beat jump layouts of both scripts.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const { presets, start, press } = require('./helpers.js');
+
+test('2-deck: SHIFT + PAD 2 selects the forward layout for its deck only', function () {
+    const { mixxx } = start(presets.two_deck);
+    press(mixxx, 0x98, 0x21);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x21), 0x7F);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x20), 0x00);
+    assert.strictEqual(mixxx.last_midi(0x9A, 0x20), 0x7F);
+
+    press(mixxx, 0x97, 0x27);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatjump'), 128);
+    press(mixxx, 0x99, 0x27);
+    assert.strictEqual(mixxx.get_value('[Channel2]', 'beatjump'), 8);
+});
+
+test('4-deck: the layout belongs to the deck and is only shown on the shifted pad', function () {
+    const { mixxx, P } = start(presets.four_deck);
+    const unshifted_lit = function () {
+        return [0, 1, 2, 3, 4, 5, 6, 7].filter(function (padnum) {
+            return mixxx.last_midi(0x97, 0x20 + padnum) === 0x7F;
+        });
+    };
+    assert.deepStrictEqual(unshifted_lit(), []);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x22), 0x00);
+
+    press(mixxx, 0x98, 0x22); // forward layout
+    assert.strictEqual(mixxx.last_midi(0x98, 0x22), 0x7F);
+    assert.deepStrictEqual(unshifted_lit(), []);
+    press(mixxx, 0x97, 0x27);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatjump'), 128);
+
+    press(mixxx, 0x98, 0x22); // phrase layout blinks
+    mixxx.advance(500);
+    const first = mixxx.last_midi(0x98, 0x22);
+    mixxx.advance(500);
+    assert.notStrictEqual(mixxx.last_midi(0x98, 0x22), first);
+
+    // deck 3 on the left side has the first layout
+    press(mixxx, 0x96, 0x58);
+    press(mixxx, 0x97, 0x02);
+    mixxx.advance(2000);
+    assert.strictEqual(P.internal.channel_to_deck(0), 2);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x22), 0x00);
+    press(mixxx, 0x97, 0x27);
+    assert.strictEqual(mixxx.get_value('[Channel3]', 'beatjump'), 8);
+});
@@ -0,0 +1,31 @@
+// Scenario tests for the triplet loop rolls of PAD FX2 mode in the 4-deck script.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+
+test('overlapping SHIFT + PAD FX2 rolls end and restore the size with the last release', function () {
+    const { mixxx } = helpers.start(helpers.presets.four_deck, { controls: { '[Channel1]': { beatloop_size: 4 } } });
+
+    mixxx.receive(0x98, 0x51, 0x7F);
+    mixxx.receive(0x98, 0x53, 0x7F);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatloop_size'), 1 / 3);
+
+    // the first pad is released, the second one keeps rolling
+    mixxx.receive(0x98, 0x51, 0x00);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatlooproll_activate'), 1);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatloop_size'), 1 / 3);
+
+    // releasing the later pad falls back to the size of one still held
+    mixxx.receive(0x98, 0x51, 0x7F);
+    mixxx.receive(0x98, 0x53, 0x00);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatlooproll_activate'), 1);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatloop_size'), 1 / 12);
+
+    mixxx.receive(0x98, 0x51, 0x00);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatlooproll_activate'), 0);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatloop_size'), 4);
+});
@@ -0,0 +1,18 @@
+// The presets pass tools/check-mapping.js without errors.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const test = require('node:test');
+const check_mapping = require('../tools/check-mapping.js');
+const helpers = require('./helpers.js');
+
+Object.keys(helpers.presets).forEach(function (name) {
+    const preset = helpers.presets[name];
+    test(preset + ' has no mapping errors', function () {
+        const result = check_mapping.check_preset(path.join(__dirname, '..', preset));
+        assert.deepStrictEqual(result.errors, []);
+    });
+});
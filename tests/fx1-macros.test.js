@@ -0,0 +1,28 @@
+// Scenario tests for the timed PAD FX1 macros of the 4-deck script.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+
+test('shutting down during echo out and a filter sweep restores what they changed', function () {
+    const { mixxx, P } = helpers.start(helpers.presets.four_deck, {
+        controls: { '[Channel1]': { volume: 0.8, play: 1 }, '[QuickEffectRack1_[Channel1]]': { super1: 0.5 } },
+    });
+
+    mixxx.receive(0x97, 0x13, 0x7F); // echo out
+    mixxx.receive(0x97, 0x14, 0x7F); // low-pass sweep
+    mixxx.advance(1000);
+    assert.strictEqual(mixxx.get_value('[EffectRack1_EffectUnit1_Effect1]', 'enabled'), 1);
+    assert.strictEqual(mixxx.get_value('[EffectRack1_EffectUnit1]', 'group_[Channel1]_enable'), 1);
+    assert.ok(mixxx.get_value('[Channel1]', 'volume') < 0.8);
+    assert.ok(mixxx.get_value('[QuickEffectRack1_[Channel1]]', 'super1') < 0.5);
+
+    P.shutdown();
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'volume'), 0.8);
+    assert.strictEqual(mixxx.get_value('[EffectRack1_EffectUnit1_Effect1]', 'enabled'), 0);
+    assert.strictEqual(mixxx.get_value('[EffectRack1_EffectUnit1]', 'group_[Channel1]_enable'), 0);
+    assert.strictEqual(mixxx.get_value('[QuickEffectRack1_[Channel1]]', 'super1'), 0.5);
+});
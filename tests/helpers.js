@@ -0,0 +1,38 @@
+// Fixtures shared by the scenario tests.
+
+'use strict';
+
+const path = require('path');
+const fake_mixxx = require('../tools/fake-mixxx.js');
+
+const presets = {
+    four_deck: 'Pioneer-DDJ-400-quirx-4D.midi.xml',
+    two_deck: 'Pioneer-DDJ-400-quirx.midi.xml',
+};
+
+// Load a preset of the repository root into a fake Mixxx, run init and the startup
+// timers. options are passed to fake_mixxx.create, options.before_init(P) may change
+// constants before init.
+function start(preset, options) {
+    options = options || {};
+    const mixxx = fake_mixxx.create(options);
+    const P = mixxx.load_preset(path.join(__dirname, '..', preset));
+    if (options.before_init) {
+        options.before_init(P);
+    }
+    P.init();
+    mixxx.advance(5000);
+    return { mixxx: mixxx, P: P };
+}
+
+// Press and release a button.
+function press(mixxx, status, midino) {
+    mixxx.receive(status, midino, 0x7F);
+    mixxx.receive(status, midino, 0x00);
+}
+
+module.exports = {
+    presets: presets,
+    start: start,
+    press: press,
+};
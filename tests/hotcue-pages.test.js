@@ -0,0 +1,90 @@
+// Scenario tests for the hot cue pages and the quick jump of the 4-deck script.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+const press = helpers.press;
+
+function start() {
+    return helpers.start(helpers.presets.four_deck);
+}
+
+test('holding SHIFT + HOT CUE pad 3 selects the hot cue page and shows it on the pads', function () {
+    const { mixxx } = start();
+    mixxx.set_value('[Channel1]', 'hotcue_17_enabled', 1);
+
+    mixxx.receive(0x98, 0x02, 0x7F);
+    mixxx.advance(600);
+    mixxx.receive(0x98, 0x02, 0x00);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_19_clear'), 0);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_3_clear'), 0);
+
+    // the page is shown on the pads, then the hot cues of the page
+    assert.strictEqual(mixxx.last_midi(0x97, 0x00), 0x00);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x02), 0x7F);
+    mixxx.advance(1100);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x00), 0x7F);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x02), 0x00);
+
+    // the first hot cue pad now plays hot cue 17
+    mixxx.receive(0x97, 0x00, 0x7F);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_17_activate'), 0x7F);
+
+    // the other deck keeps page 1
+    mixxx.receive(0x99, 0x00, 0x7F);
+    assert.strictEqual(mixxx.get_value('[Channel2]', 'hotcue_1_activate'), 0x7F);
+});
+
+test('a short SHIFT + HOT CUE pad deletes the hot cue of the page', function () {
+    const { mixxx } = start();
+    mixxx.receive(0x98, 0x01, 0x7F);
+    mixxx.advance(600);
+    mixxx.receive(0x98, 0x01, 0x00);
+
+    press(mixxx, 0x98, 0x02);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_11_clear'), 1);
+    press(mixxx, 0x98, 0x07);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_16_clear'), 1);
+
+    // pads without a page do not select one when held
+    mixxx.receive(0x98, 0x06, 0x7F);
+    mixxx.advance(600);
+    mixxx.receive(0x98, 0x06, 0x00);
+    mixxx.receive(0x97, 0x00, 0x7F);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_9_activate'), 0x7F);
+});
+
+test('SHIFT + KEYBOARD pad selects the hot cue of the hot cue page', function () {
+    const { mixxx } = start();
+    mixxx.receive(0x98, 0x01, 0x7F);
+    mixxx.advance(600);
+    mixxx.receive(0x98, 0x01, 0x00);
+
+    press(mixxx, 0x98, 0x42);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x42), 0x7F);
+    mixxx.receive(0x97, 0x40, 0x7F);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_11_activate'), 0x7F);
+
+    // back on page 1 the selected hot cue is not on the pads
+    mixxx.receive(0x98, 0x00, 0x7F);
+    mixxx.advance(600);
+    mixxx.receive(0x98, 0x00, 0x00);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x42), 0x00);
+});
+
+test('SHIFT + CUE/LOOP CALL jumps without a loop and saves or deletes with one', function () {
+    const { mixxx } = start();
+    press(mixxx, 0x90, 0x3E);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatjump'), -32);
+    press(mixxx, 0x90, 0x3D);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatjump'), 32);
+
+    mixxx.set_value('[Channel1]', 'beatjump', 0);
+    mixxx.set_value('[Channel1]', 'loop_enabled', 1);
+    press(mixxx, 0x90, 0x3E);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_36_setloop'), 1);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatjump'), 0);
+});
@@ -0,0 +1,71 @@
+// Scenario tests for the 4 beat loop on long-pressing LOOP IN in both scripts.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+
+// 120 bpm at 44.1 kHz: a beat is 44100 samples.
+const beat = 44100;
+
+const presets = {
+    '4-deck': helpers.presets.four_deck,
+    '2-deck': helpers.presets.two_deck,
+};
+
+function start(file, missing_controls) {
+    const { mixxx } = helpers.start(file, { missing_controls: missing_controls });
+
+    mixxx.set_value('[Channel1]', 'file_bpm', 120);
+    mixxx.set_value('[Channel1]', 'track_samplerate', 44100);
+    mixxx.set_value('[Channel1]', 'track_samples', 100 * beat);
+    mixxx.set_value('[Channel1]', 'loop_start_position', -1);
+    mixxx.set_value('[Channel1]', 'loop_end_position', -1);
+    return mixxx;
+}
+
+Object.keys(presets).forEach(function (name) {
+    test(name + ': without beatloop_keep_loopin, the loop ends 4 beats after the loop in point', function () {
+        const mixxx = start(presets[name], ['beatloop_keep_loopin']);
+        mixxx.set_value('[Channel1]', 'loop_start_position', 10 * beat);
+
+        mixxx.receive(0x90, 0x14, 0x7F);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'loop_start_position'), 10 * beat);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'loop_end_position'), 14 * beat);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'reloop_toggle'), 1);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'beatloop_keep_loopin'), 0);
+    });
+
+    test(name + ': without a loop in point, the loop starts at the last beat', function () {
+        const mixxx = start(presets[name], ['beatloop_keep_loopin']);
+        mixxx.set_value('[Channel1]', 'playposition', 0.5);
+        mixxx.set_value('[Channel1]', 'beat_distance', 0.25);
+
+        mixxx.receive(0x90, 0x14, 0x7F);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'loop_start_position'), 49.75 * beat);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'loop_end_position'), 53.75 * beat);
+    });
+
+    test(name + ': with beatloop_keep_loopin, Mixxx sets the loop', function () {
+        const mixxx = start(presets[name], []);
+        mixxx.set_value('[Channel1]', 'loop_start_position', 10 * beat);
+
+        mixxx.receive(0x90, 0x14, 0x7F);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'beatloop_keep_loopin'), 4);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'loop_end_position'), -1);
+    });
+
+    test(name + ': the beatloop_keep_loopin probe is disconnected and made only once', function () {
+        const mixxx = start(presets[name], []);
+        mixxx.receive(0x90, 0x14, 0x7F);
+        mixxx.receive(0x90, 0x14, 0x7F);
+
+        const probes = mixxx.connections.filter(function (connection) {
+            return connection.control === 'beatloop_keep_loopin';
+        });
+        assert.strictEqual(probes.length, 1);
+        assert.strictEqual(probes[0].connected, false);
+    });
+});
@@ -0,0 +1,145 @@
+// Scenario tests for loop in/out adjustment with the jog wheel in both scripts.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+
+// 120 bpm at 44.1 kHz: a beat is 44100 samples, the 1/4 beat steps 11025 samples.
+const beat = 44100;
+const step = beat / 4;
+
+const presets = {
+    '4-deck': {
+        file: helpers.presets.four_deck,
+        adjust_in: 0x10, // LOOP IN
+        adjust_out: 0x11, // LOOP OUT
+        ticks_per_step: function (P) { return P.constants.loop_adjust_ticks_per_step; },
+    },
+    '2-deck': {
+        file: helpers.presets.two_deck,
+        adjust_in: 0x4C, // SHIFT + LOOP IN
+        adjust_out: 0x4E, // SHIFT + LOOP OUT
+        ticks_per_step: function (P) { return P.loopAdjustTicksPerStep; },
+    },
+};
+
+function start(preset, quantize) {
+    const { mixxx, P } = helpers.start(preset.file);
+
+    mixxx.set_value('[Channel1]', 'file_bpm', 120);
+    mixxx.set_value('[Channel1]', 'track_samplerate', 44100);
+    mixxx.set_value('[Channel1]', 'track_samples', 600 * beat);
+    mixxx.set_value('[Channel1]', 'quantize', quantize ? 1 : 0);
+    mixxx.set_value('[Channel1]', 'loop_start_position', 4 * beat + 100);
+    mixxx.set_value('[Channel1]', 'loop_end_position', 8 * beat);
+    mixxx.set_value('[Channel1]', 'loop_enabled', 1);
+    return { mixxx: mixxx, P: P };
+}
+
+function press(mixxx, midino) {
+    helpers.press(mixxx, 0x90, midino);
+}
+
+function turn_jog(mixxx, ticks, shift) {
+    for (var i = 0; i < Math.abs(ticks); i++) {
+        mixxx.receive(0xB0, shift ? 0x29 : 0x23, ticks > 0 ? 65 : 63);
+    }
+}
+
+function loop(mixxx) {
+    return [mixxx.get_value('[Channel1]', 'loop_start_position'), mixxx.get_value('[Channel1]', 'loop_end_position')];
+}
+
+Object.keys(presets).forEach(function (name) {
+    const preset = presets[name];
+
+    test(name + ': with quantize, the loop in point snaps to the grid and moves by beat fractions', function () {
+        const { mixxx, P } = start(preset, true);
+        const ticks = preset.ticks_per_step(P);
+        press(mixxx, preset.adjust_in);
+
+        turn_jog(mixxx, ticks - 1);
+        assert.deepStrictEqual(loop(mixxx), [4 * beat + 100, 8 * beat]);
+        turn_jog(mixxx, 1);
+        assert.deepStrictEqual(loop(mixxx), [4 * beat + step, 8 * beat]);
+        turn_jog(mixxx, -2 * ticks);
+        assert.deepStrictEqual(loop(mixxx), [4 * beat - step, 8 * beat]);
+    });
+
+    test(name + ': with quantize, the loop keeps a length of one step', function () {
+        const { mixxx, P } = start(preset, true);
+        const ticks = preset.ticks_per_step(P);
+        press(mixxx, preset.adjust_out);
+
+        turn_jog(mixxx, -100 * ticks);
+        // the last grid point at least a step after the loop in point
+        assert.deepStrictEqual(loop(mixxx), [4 * beat + 100, 4 * beat + 2 * step]);
+    });
+
+    test(name + ': SHIFT + jog adjusts finely and never makes the loop empty', function () {
+        const { mixxx } = start(preset, true);
+        press(mixxx, preset.adjust_in);
+
+        turn_jog(mixxx, 3, true);
+        assert.deepStrictEqual(loop(mixxx), [4 * beat + 250, 8 * beat]);
+        turn_jog(mixxx, 10000, true);
+        const [loop_start, loop_end] = loop(mixxx);
+        assert.ok(loop_end - loop_start > 0);
+    });
+
+    test(name + ': without quantize, the jog moves the loop point by samples', function () {
+        const { mixxx } = start(preset, false);
+        press(mixxx, preset.adjust_in);
+
+        turn_jog(mixxx, 2);
+        assert.deepStrictEqual(loop(mixxx), [4 * beat + 200, 8 * beat]);
+    });
+});
+
+test('4-deck: SHIFT + RELOOP moves the whole loop with the jog wheel', function () {
+    const { mixxx, P } = start(presets['4-deck'], true);
+    const ticks = P.constants.loop_move_ticks_per_step;
+    const moves = [];
+    mixxx.engine.makeConnection('[Channel1]', 'loop_move', function (value) {
+        moves.push(value);
+    });
+    mixxx.set_value('[Channel1]', 'beatjump_size', 4);
+    press(mixxx, 0x50);
+
+    turn_jog(mixxx, ticks);
+    turn_jog(mixxx, -2 * ticks);
+    assert.deepStrictEqual(moves, [4, -4, -4]);
+    assert.deepStrictEqual(loop(mixxx), [4 * beat + 100, 8 * beat]);
+
+    // loop in and loop out blink alternately
+    mixxx.advance(P.constants.times.loop_adjust);
+    assert.notStrictEqual(mixxx.last_midi(0x90, 0x10), mixxx.last_midi(0x90, 0x11));
+    mixxx.advance(P.constants.times.loop_adjust);
+    assert.notStrictEqual(mixxx.last_midi(0x90, 0x10), mixxx.last_midi(0x90, 0x11));
+
+    // pressing again leaves loop move
+    press(mixxx, 0x50);
+    turn_jog(mixxx, ticks);
+    assert.strictEqual(moves.length, 3);
+});
+
+test('4-deck: SHIFT + RELOOP without a loop reloops and stops', function () {
+    const { mixxx } = start(presets['4-deck'], true);
+    mixxx.set_value('[Channel1]', 'loop_enabled', 0);
+
+    press(mixxx, 0x50);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'reloop_andstop'), 1);
+});
+
+test('4-deck: SHIFT + LOOP IN toggles the loop in adjustment', function () {
+    const { mixxx, P } = start(presets['4-deck'], true);
+    const adjust_in = P.constants.loop_modifiers.adjust_in;
+
+    press(mixxx, 0x4C);
+    assert.strictEqual(P.internal.get_loop_adjust_state(0), adjust_in);
+    press(mixxx, 0x4C);
+    assert.strictEqual(P.internal.get_loop_adjust_state(0), P.constants.loop_modifiers.none);
+});
@@ -0,0 +1,74 @@
+// Scenario tests for the sampler banks in both scripts.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+
+function start() {
+    return helpers.start(helpers.presets.two_deck, {
+        controls: {
+            '[App]': { num_samplers: 32 },
+            '[Sampler17]': { track_loaded: 1 },
+        },
+    });
+}
+
+test('SHIFT + BROWSE switches the sampler pads to the next bank', function () {
+    const { mixxx, P } = start();
+    assert.strictEqual(mixxx.last_midi(0x97, 0x30), 0x00);
+
+    mixxx.receive(0xB6, 0x64, 0x01);
+    assert.strictEqual(P.samplerBank, 1);
+    // the bank is shown on the pads first
+    assert.strictEqual(mixxx.last_midi(0x97, 0x31), 0x7F);
+
+    mixxx.advance(P.samplerBankDisplayTime);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x30), 0x7F);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x30), 0x7F);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x31), 0x00);
+});
+
+test('samplers of the previous bank no longer drive the pads', function () {
+    const { mixxx } = start();
+
+    mixxx.receive(0xB6, 0x64, 0x01);
+    mixxx.advance(2000);
+    const sent = mixxx.midi_log.length;
+    mixxx.set_value('[Sampler1]', 'track_loaded', 1);
+    assert.strictEqual(mixxx.midi_log.length, sent);
+    mixxx.set_value('[Sampler17]', 'track_loaded', 0);
+    assert.strictEqual(mixxx.last_midi(0x97, 0x30), 0x00);
+});
+
+test('the bank does not wrap around', function () {
+    const { mixxx, P } = start();
+
+    mixxx.receive(0xB6, 0x64, 0x7F);
+    assert.strictEqual(P.samplerBank, 0);
+});
+
+[helpers.presets.four_deck, helpers.presets.two_deck].forEach(function (preset) {
+    test(preset + ': the last bank only connects the samplers Mixxx has', function () {
+        const { mixxx } = helpers.start(preset, {
+            controls: {
+                '[App]': { num_samplers: 20 },
+                '[Sampler17]': { track_loaded: 1 },
+            },
+        });
+
+        mixxx.receive(0xB6, 0x64, 0x01);
+        mixxx.advance(2000);
+        assert.strictEqual(mixxx.last_midi(0x97, 0x30), 0x7F);
+        assert.strictEqual(mixxx.last_midi(0x97, 0x35), 0x00);
+        assert.strictEqual(mixxx.last_midi(0x99, 0x30), 0x00);
+
+        // pads without a sampler do nothing
+        mixxx.receive(0x97, 0x35, 0x7F);
+        assert.strictEqual(mixxx.get_value('[Sampler22]', 'LoadSelectedTrack'), 0);
+        mixxx.receive(0x97, 0x31, 0x7F);
+        assert.strictEqual(mixxx.get_value('[Sampler18]', 'LoadSelectedTrack'), 0x7F);
+    });
+});
@@ -0,0 +1,53 @@
+// Scenario tests for the saved loops on the CUE/LOOP CALL buttons of both scripts.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+const press = helpers.press;
+
+const presets = [
+    { name: helpers.presets.four_deck },
+    { name: helpers.presets.two_deck },
+];
+
+function start(preset) {
+    const { mixxx, P } = helpers.start(preset.name);
+
+    // a track of 1000000 samples with a saved loop at 600000, played at 300000
+    mixxx.set_value('[Channel1]', 'track_samples', 1000000);
+    mixxx.set_value('[Channel1]', 'playposition', 0.3);
+    mixxx.set_value('[Channel1]', 'hotcue_5_type', 4);
+    mixxx.set_value('[Channel1]', 'hotcue_5_position', 600000);
+    return { mixxx: mixxx, P: P };
+}
+
+presets.forEach(function (preset) {
+    test(preset.name + ': > jumps to the next saved loop when no loop is active', function () {
+        const { mixxx } = start(preset);
+        press(mixxx, 0x90, 0x53);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_5_gotoandloop'), 1);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'loop_scale'), 0);
+    });
+
+    test(preset.name + ': an active loop is halved and doubled even with saved loops', function () {
+        const { mixxx } = start(preset);
+        mixxx.set_value('[Channel1]', 'loop_enabled', 1);
+
+        press(mixxx, 0x90, 0x53);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'loop_scale'), 2);
+        press(mixxx, 0x90, 0x51);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'loop_scale'), 0.5);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_5_gotoandloop'), 0);
+    });
+});
+
+test('4-deck: < starts a 4 beat loop when there is no saved loop before', function () {
+    const { mixxx } = start(presets[0]);
+    press(mixxx, 0x90, 0x51);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'hotcue_5_gotoandloop'), 0);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatloop_size'), 4);
+    assert.strictEqual(mixxx.get_value('[Channel1]', 'beatloop_activate'), 1);
+});
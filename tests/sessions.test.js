@@ -0,0 +1,27 @@
+// Replays the recorded sessions in tests/sessions/ and compares them to their
+// snapshots. Update a snapshot with:
+//   node tools/replay-session.js <preset.midi.xml> tests/sessions/<name>.log --update
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const replay_session = require('../tools/replay-session.js');
+
+const sessions_dir = path.join(__dirname, 'sessions');
+
+fs.readdirSync(sessions_dir).filter(function (file) {
+    return file.endsWith('.log');
+}).forEach(function (file) {
+    test('session ' + file + ' matches its snapshot', function () {
+        const name = path.join(sessions_dir, path.basename(file, '.log'));
+        const expected = JSON.parse(fs.readFileSync(name + '.json', 'utf8'));
+        const events = replay_session.parse_session(fs.readFileSync(name + '.log', 'utf8'));
+        const actual = replay_session.replay(path.join(__dirname, '..', expected.preset), events);
+
+        assert.deepStrictEqual(replay_session.compare_snapshots(expected, actual), []);
+    });
+});
@@ -0,0 +1,124 @@
+// Tests for the controller settings of both scripts.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+
+const preset = helpers.presets.four_deck;
+const preset_2deck = helpers.presets.two_deck;
+
+function start(settings, file) {
+    return helpers.start(file || preset, { settings: settings });
+}
+
+test('settings replace the constants at init', function () {
+    const { mixxx, P } = start({
+        always_toggle_both: true,
+        vinyl_mode: false,
+        brake_speed: 50,
+        backspin_length: 'short',
+    });
+
+    assert.strictEqual(P.constants.always_toggle_both, true);
+    assert.strictEqual(P.constants.vinyl_mode, false);
+    assert.strictEqual(P.constants.brake_speed, 50);
+    assert.strictEqual(P.constants.backspin_length, 0x00);
+    assert.strictEqual(mixxx.last_midi(0xBF, 0x45), 0x00);
+});
+
+test('the scratch filter beta follows the alpha setting', function () {
+    const { P } = start({ jog_alpha: 0.25 });
+
+    assert.strictEqual(P.constants.jog_alpha, 0.25);
+    assert.strictEqual(P.constants.jog_beta, 0.25 / 64);
+});
+
+test('missing settings keep the defaults', function () {
+    const { P } = start({});
+
+    assert.strictEqual(P.constants.always_toggle_both, false);
+    assert.strictEqual(P.constants.brake_speed, 20);
+    assert.strictEqual(P.constants.backspin_length, 0x20);
+});
+
+test('invalid settings keep the defaults', function () {
+    const { mixxx, P } = start({
+        vinyl_mode: 'yes',
+        jog_alpha: 5,
+        brake_speed: 0,
+        backspin_length: 'endless',
+    });
+
+    assert.strictEqual(P.constants.vinyl_mode, true);
+    assert.strictEqual(P.constants.jog_alpha, 1 / 8);
+    assert.strictEqual(P.constants.brake_speed, 20);
+    assert.strictEqual(P.constants.backspin_length, 0x20);
+    assert.strictEqual(mixxx.print_log.filter(function (line) {
+        return line.indexOf('Ignoring invalid setting') === 0;
+    }).length, 4);
+});
+
+test('the settings in the XML have the defaults of the constants', function () {
+    const xml = fs.readFileSync(path.join(__dirname, '..', preset), 'utf8');
+    const { P } = start({});
+
+    Object.keys(P.constants.user_settings).forEach(function (name) {
+        const option = xml.match(new RegExp('<option variable="' + name + '"[^>]*>'));
+        assert.ok(option, name + ' is missing in the XML');
+        const setting = P.constants.user_settings[name];
+        if (setting.type == 'enum') {
+            const values = xml.match(new RegExp('<option variable="' + name + '"[\\s\\S]*?</option>'))[0];
+            const default_value = values.match(/<value[^>]*default="true"[^>]*>([^<]*)</)[1];
+            assert.strictEqual(setting.values[default_value], P.constants[name]);
+        } else {
+            assert.strictEqual(JSON.parse(option[0].match(/default="([^"]*)"/)[1]), P.constants[name]);
+        }
+    });
+});
+
+test('2-deck: settings replace the defaults at init', function () {
+    const { P } = start({
+        vinylMode: false,
+        alpha: 0.25,
+        fastSeekScale: 300,
+        loopAdjustBeats: '1/2',
+    }, preset_2deck);
+
+    assert.deepStrictEqual(Array.from(P.deckVinylMode), [false, false]);
+    assert.strictEqual(P.beta, 0.25 / 32);
+    assert.strictEqual(P.fastSeekScale, 300);
+    assert.strictEqual(P.loopAdjustBeats, 1 / 2);
+});
+
+test('2-deck: invalid settings keep the defaults', function () {
+    const { mixxx, P } = start({ alpha: 0, bendScale: 'fast' }, preset_2deck);
+
+    assert.strictEqual(P.alpha, 1 / 8);
+    assert.strictEqual(P.bendScale, 0.8);
+    assert.strictEqual(mixxx.print_log.filter(function (line) {
+        return line.indexOf('Ignoring invalid setting') === 0;
+    }).length, 2);
+});
+
+test('2-deck: the settings in the XML have the defaults of the script', function () {
+    const xml = fs.readFileSync(path.join(__dirname, '..', preset_2deck), 'utf8');
+    const { P } = start({}, preset_2deck);
+
+    Object.keys(P.userSettings).forEach(function (name) {
+        const option = xml.match(new RegExp('<option variable="' + name + '"[^>]*>'));
+        assert.ok(option, name + ' is missing in the XML');
+        const setting = P.userSettings[name];
+        if (setting.type == 'enum') {
+            const values = xml.match(new RegExp('<option variable="' + name + '"[\\s\\S]*?</option>'))[0];
+            const default_value = values.match(/<value[^>]*default="true"[^>]*>([^<]*)</)[1];
+            assert.strictEqual(setting.values[default_value], P[name]);
+        } else {
+            assert.strictEqual(JSON.parse(option[0].match(/default="([^"]*)"/)[1]), P[name]);
+        }
+    });
+});
@@ -0,0 +1,111 @@
+// Scenario tests for the slip mode of both scripts.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+const press = helpers.press;
+
+// SHIFT + PAD 2 in PAD FX1 mode toggles slip mode in both mappings
+const slip_pad = 0x11;
+const presets = [
+    { name: helpers.presets.four_deck },
+    { name: helpers.presets.two_deck },
+];
+
+function start(preset) {
+    const { mixxx, P } = helpers.start(preset.name);
+
+    // every change of slip_enabled of deck 1
+    mixxx.slip_log = [];
+    mixxx.engine.makeConnection('[Channel1]', 'slip_enabled', function (value) {
+        mixxx.slip_log.push(value);
+    });
+    return { mixxx: mixxx, P: P };
+}
+
+presets.forEach(function (preset) {
+    test(preset.name + ': SHIFT + pad toggles the slip mode of the deck', function () {
+        const { mixxx } = start(preset);
+        assert.strictEqual(mixxx.last_midi(0x98, slip_pad), 0x00);
+
+        press(mixxx, 0x98, slip_pad);
+        assert.strictEqual(mixxx.last_midi(0x98, slip_pad), 0x7F);
+        assert.strictEqual(mixxx.last_midi(0x9A, slip_pad), 0x00);
+
+        press(mixxx, 0x98, slip_pad);
+        assert.strictEqual(mixxx.last_midi(0x98, slip_pad), 0x00);
+    });
+
+    test(preset.name + ': releasing the jog wheel returns to the slip position', function () {
+        const { mixxx } = start(preset);
+
+        // without slip mode, scratching does not touch slip_enabled
+        mixxx.receive(0x90, 0x36, 0x7F);
+        mixxx.receive(0x90, 0x36, 0x00);
+        assert.deepStrictEqual(mixxx.slip_log, []);
+
+        press(mixxx, 0x98, slip_pad);
+        mixxx.receive(0x90, 0x36, 0x7F);
+        assert.deepStrictEqual(mixxx.slip_log, [1]);
+        mixxx.receive(0x90, 0x36, 0x00);
+        assert.deepStrictEqual(mixxx.slip_log, [1, 0]);
+    });
+
+    test(preset.name + ': exiting a reloop returns to the slip position', function () {
+        const { mixxx } = start(preset);
+        mixxx.set_value('[Channel1]', 'loop_start_position', 44100);
+        mixxx.set_value('[Channel1]', 'loop_end_position', 88200);
+        press(mixxx, 0x98, slip_pad);
+
+        press(mixxx, 0x90, 0x4D);
+        assert.strictEqual(mixxx.get_value('[Channel1]', 'reloop_toggle'), 1);
+        assert.deepStrictEqual(mixxx.slip_log, [1]);
+        mixxx.set_value('[Channel1]', 'loop_enabled', 1);
+
+        // scratching inside the loop keeps slip on until the loop is exited
+        mixxx.receive(0x90, 0x36, 0x7F);
+        mixxx.receive(0x90, 0x36, 0x00);
+        assert.deepStrictEqual(mixxx.slip_log, [1]);
+
+        press(mixxx, 0x90, 0x4D);
+        mixxx.set_value('[Channel1]', 'loop_enabled', 0);
+        assert.deepStrictEqual(mixxx.slip_log, [1, 0]);
+    });
+
+    test(preset.name + ': a roll keeps its own slip while the jog wheel is touched', function () {
+        const { mixxx } = start(preset);
+        press(mixxx, 0x98, slip_pad);
+
+        // Mixxx enables slip itself for beat loop rolls and reverse roll
+        mixxx.set_value('[Channel1]', 'slip_enabled', 1);
+        mixxx.receive(0x90, 0x36, 0x7F);
+        mixxx.receive(0x90, 0x36, 0x00);
+        assert.deepStrictEqual(mixxx.slip_log, [1]);
+    });
+});
+
+test('the slip mode moves with the deck', function () {
+    const { mixxx, P } = start(presets[0]);
+    press(mixxx, 0x98, 0x11);
+
+    // select deck 3 on the left side
+    press(mixxx, 0x96, 0x58);
+    press(mixxx, 0x97, 0x02);
+    mixxx.advance(2000);
+    assert.strictEqual(P.internal.channel_to_deck(0), 2);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x11), 0x00);
+    mixxx.receive(0x90, 0x36, 0x7F);
+    assert.strictEqual(mixxx.get_value('[Channel3]', 'slip_enabled'), 0);
+    mixxx.receive(0x90, 0x36, 0x00);
+
+    // and deck 1 again
+    press(mixxx, 0x96, 0x58);
+    press(mixxx, 0x97, 0x00);
+    mixxx.advance(2000);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x11), 0x7F);
+    mixxx.receive(0x90, 0x36, 0x7F);
+    assert.deepStrictEqual(mixxx.slip_log, [1]);
+});
@@ -0,0 +1,21 @@
+// Scenario tests for tapping the tempo in KEY SHIFT mode of the 4-deck script.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+
+test('SHIFT + PAD 8 in KEY SHIFT mode taps the tempo of the deck', function () {
+    const { mixxx } = helpers.start(helpers.presets.four_deck);
+    const taps = [];
+    mixxx.engine.makeConnection('[Channel1]', 'bpm_tap', function (value) {
+        taps.push(value);
+    });
+
+    helpers.press(mixxx, 0x98, 0x77);
+    helpers.press(mixxx, 0x98, 0x77);
+    assert.deepStrictEqual(taps, [1, 1]);
+    assert.strictEqual(mixxx.get_value('[Channel2]', 'bpm_tap'), 0);
+});
@@ -0,0 +1,110 @@
+// Scenario tests for the tempo fader pickup lights of the 4-deck script.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+const press = helpers.press;
+
+// Start with the left tempo fader in the middle and deck 3 slowed down, then
+// switch the left side to deck 3.
+function start() {
+    const { mixxx, P } = helpers.start(helpers.presets.four_deck);
+    mixxx.receive(0xB0, 0x00, 0x40);
+    mixxx.receive(0xB0, 0x20, 0x00);
+    mixxx.set_value('[Channel3]', 'rate', 0.5);
+
+    press(mixxx, 0x96, 0x58);
+    press(mixxx, 0x97, 0x02);
+    mixxx.advance(2000);
+    assert.strictEqual(P.internal.channel_to_deck(0), 2);
+    return { mixxx: mixxx, P: P };
+}
+
+function cue_light_values(mixxx, from) {
+    return mixxx.midi_log.slice(from).filter(function (message) {
+        return message.status === 0x90 && message.midino === 0x0C;
+    }).map(function (message) {
+        return message.value;
+    });
+}
+
+test('the cue light blinks while the fader has to move up and is not overwritten', function () {
+    const { mixxx } = start();
+    const from = mixxx.midi_log.length;
+
+    mixxx.advance(250);
+    mixxx.set_value('[Channel3]', 'cue_indicator', 1);
+    mixxx.set_value('[Channel3]', 'cue_indicator', 0);
+    mixxx.advance(250);
+    // only the two blink steps, the indicator changes are not sent
+    const values = cue_light_values(mixxx, from);
+    assert.strictEqual(values.length, 2);
+    assert.notStrictEqual(values[0], values[1]);
+});
+
+test('the cue indicator drives the light again after the pickup', function () {
+    const { mixxx } = start();
+
+    // move the fader to the deck's rate
+    mixxx.receive(0xB0, 0x00, 0x20);
+    mixxx.receive(0xB0, 0x20, 0x00);
+    mixxx.set_value('[Channel3]', 'cue_indicator', 1);
+    assert.strictEqual(mixxx.last_midi(0x90, 0x0C), 0x7F);
+
+    const from = mixxx.midi_log.length;
+    mixxx.advance(1000);
+    assert.deepStrictEqual(cue_light_values(mixxx, from), []);
+});
+
+test('a pickup that starts during the deck flash keeps blinking after the flash', function () {
+    const { mixxx, P } = helpers.start(helpers.presets.four_deck, { soft_takeover: true });
+    mixxx.receive(0xB0, 0x00, 0x40);
+    mixxx.receive(0xB0, 0x20, 0x00);
+    mixxx.set_value('[Channel3]', 'rate', 0.5);
+
+    press(mixxx, 0x96, 0x58);
+    press(mixxx, 0x97, 0x02);
+    // soft takeover ignores the fader, which is still far below the rate of deck 3
+    mixxx.advance(200);
+    mixxx.receive(0xB0, 0x00, 0x41);
+    mixxx.receive(0xB0, 0x20, 0x00);
+    assert.strictEqual(mixxx.get_value('[Channel3]', 'rate'), 0.5);
+    mixxx.advance(2000);
+    assert.strictEqual(P.internal.channel_to_deck(0), 2);
+
+    const from = mixxx.midi_log.length;
+    mixxx.set_value('[Channel3]', 'cue_indicator', 1);
+    mixxx.advance(250);
+    mixxx.set_value('[Channel3]', 'cue_indicator', 0);
+    mixxx.advance(250);
+    const values = cue_light_values(mixxx, from);
+    assert.strictEqual(values.length, 2);
+    assert.notStrictEqual(values[0], values[1]);
+});
+
+test('a pickup that ends during the deck flash leaves one connected indicator', function () {
+    const { mixxx } = helpers.start(helpers.presets.four_deck, { soft_takeover: true });
+    mixxx.receive(0xB0, 0x00, 0x40);
+    mixxx.receive(0xB0, 0x20, 0x00);
+    mixxx.set_value('[Channel3]', 'rate', 0.5);
+
+    press(mixxx, 0x96, 0x58);
+    press(mixxx, 0x97, 0x02);
+    mixxx.advance(200);
+    mixxx.receive(0xB0, 0x00, 0x41);
+    mixxx.receive(0xB0, 0x20, 0x00);
+    // the fader reaches the rate of deck 3 before the flash ends
+    mixxx.receive(0xB0, 0x00, 0x20);
+    mixxx.receive(0xB0, 0x20, 0x00);
+    mixxx.advance(2000);
+
+    const indicators = mixxx.connections.filter(function (connection) {
+        return connection.connected && connection.group === '[Channel3]' && connection.control === 'cue_indicator';
+    });
+    assert.strictEqual(indicators.length, 1);
+    mixxx.set_value('[Channel3]', 'cue_indicator', 1);
+    assert.strictEqual(mixxx.last_midi(0x90, 0x0C), 0x7F);
+});
@@ -0,0 +1,65 @@
+// Scenario tests for the vinyl mode toggle of both scripts.
+// Run with: node --test tests/
+
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const helpers = require('./helpers.js');
+const press = helpers.press;
+
+function start(preset) {
+    const { mixxx, P } = helpers.start(preset || helpers.presets.four_deck);
+
+    mixxx.scratching = [];
+    mixxx.engine.scratchEnable = function (deck) {
+        mixxx.scratching.push(deck);
+    };
+    return { mixxx: mixxx, P: P };
+}
+
+test('SHIFT + PAD FX1 pad 1 toggles the vinyl mode of the deck', function () {
+    const { mixxx } = start();
+    assert.strictEqual(mixxx.last_midi(0x98, 0x10), 0x7F);
+
+    press(mixxx, 0x98, 0x10);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x10), 0x00);
+    mixxx.receive(0x90, 0x36, 0x7F); // touch the left jog wheel
+    assert.deepStrictEqual(mixxx.scratching, []);
+
+    // the right deck is still in vinyl mode
+    assert.strictEqual(mixxx.last_midi(0x9A, 0x10), 0x7F);
+    mixxx.receive(0x91, 0x36, 0x7F);
+    assert.deepStrictEqual(mixxx.scratching, [2]);
+});
+
+test('the vinyl mode moves with the deck', function () {
+    const { mixxx, P } = start();
+    press(mixxx, 0x98, 0x10);
+
+    // select deck 3 on the left side
+    press(mixxx, 0x96, 0x58);
+    press(mixxx, 0x97, 0x02);
+    mixxx.advance(2000);
+    assert.strictEqual(P.internal.channel_to_deck(0), 2);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x10), 0x7F);
+
+    // and deck 1 again
+    press(mixxx, 0x96, 0x58);
+    press(mixxx, 0x97, 0x00);
+    mixxx.advance(2000);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x10), 0x00);
+});
+
+test('SHIFT + PAD FX1 pad 1 toggles the vinyl mode in the 2-deck script too', function () {
+    const { mixxx } = start(helpers.presets.two_deck);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x10), 0x7F);
+
+    press(mixxx, 0x98, 0x10);
+    assert.strictEqual(mixxx.last_midi(0x98, 0x10), 0x00);
+    mixxx.receive(0x90, 0x36, 0x7F);
+    assert.deepStrictEqual(mixxx.scratching, []);
+
+    mixxx.receive(0x91, 0x36, 0x7F);
+    assert.deepStrictEqual(mixxx.scratching, [2]);
+});
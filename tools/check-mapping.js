@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+// check-mapping.js
+// ****************************************************************************
+// * Consistency checker for the DDJ-400 presets.
+// *
+// * Usage: node tools/check-mapping.js [preset.midi.xml ...]
+// *        (default: all *.midi.xml files next to this directory)
+// *
+// * For each preset, the script file named in <scriptfiles> is loaded into a
+// * fake Mixxx (see fake-mixxx.js, init is not called) and the following is
+// * reported:
+// *   - errors: <key>s with the script's function prefix that do not name a
+// *     function, and <control>s that share a status/midino pair (unless the
+// *     pair is listed in allowed_duplicates).
+// *   - warnings: functions of the script object that no <control> uses. These
+// *     are split into functions only called from within the script and
+// *     functions that are not referenced at all. Allowed duplicates are
+// *     listed as warnings too.
+// *
+// * The exit code is 1 if any preset has errors.
+// ****************************************************************************
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const fake_mixxx = require('./fake-mixxx.js');
+
+const repo_dir = path.join(__dirname, '..');
+
+// Functions Mixxx calls by itself.
+const lifecycle_functions = ['init', 'shutdown'];
+
+// Status/midino pairs that are mapped twice on purpose, per preset.
+const allowed_duplicates = {
+    // SHIFT + CUE taps the bpm (like the stock mapping) and toggles quantize
+    'Pioneer-DDJ-400-quirx.midi.xml': ['0x90 0x68', '0x91 0x68'],
+};
+
+function format_message(status, midino) {
+    return '0x' + status.toString(16).toUpperCase() + ' 0x' + midino.toString(16).toUpperCase().padStart(2, '0');
+}
+
+function format_control(control) {
+    return format_message(control.status, control.midino) + ' ' + control.group + ' ' + control.key + (control.description ? ' (' + control.description + ')' : '');
+}
+
+function check_preset(xml_path) {
+    const preset = fake_mixxx.parse_preset(fs.readFileSync(xml_path, 'utf8'));
+    const errors = [];
+    const warnings = [];
+
+    if (!preset.script_file) {
+        errors.push('no script file in <scriptfiles>');
+        return { errors: errors, warnings: warnings };
+    }
+
+    const prefix = preset.function_prefix;
+    const mixxx = fake_mixxx.create();
+    const script = {
+        object: mixxx.load_script(path.join(path.dirname(xml_path), preset.script_file), prefix),
+    };
+    script.source = mixxx.script_source;
+
+    // undefined handlers
+    const mapped = {};
+    preset.controls.forEach(function (control) {
+        if (control.key.indexOf(prefix + '.') !== 0) {
+            return;
+        }
+        const name = control.key.substring(prefix.length + 1);
+        mapped[name] = true;
+        if (typeof fake_mixxx.resolve(script.object, name) !== 'function') {
+            errors.push('undefined handler: ' + format_control(control));
+        } else if (!control.script_binding) {
+            errors.push('handler without <script-binding/>: ' + format_control(control));
+        }
+    });
+
+    // duplicate status/midino pairs
+    const by_message = {};
+    preset.controls.forEach(function (control) {
+        const message = control.status * 0x100 + control.midino;
+        by_message[message] = by_message[message] || [];
+        by_message[message].push(control);
+    });
+    const allowed = allowed_duplicates[path.basename(xml_path)] || [];
+    Object.keys(by_message).forEach(function (message) {
+        const controls = by_message[message];
+        if (controls.length < 2) {
+            return;
+        }
+        const is_allowed = allowed.indexOf(format_message(controls[0].status, controls[0].midino)) >= 0;
+        (is_allowed ? warnings : errors).push((is_allowed ? 'allowed ' : '') + 'duplicate status/midino:\n' + controls.map(function (control) {
+            return '        ' + format_control(control);
+        }).join('\n'));
+    });
+
+    // functions no mapping uses
+    Object.keys(script.object).forEach(function (name) {
+        if (typeof script.object[name] !== 'function' || mapped[name] || lifecycle_functions.indexOf(name) >= 0) {
+            return;
+        }
+        const uses = script.source.split(prefix + '.' + name).length - 1;
+        if (uses > 1) {
+            warnings.push('not mapped (used by the script): ' + prefix + '.' + name);
+        } else {
+            warnings.push('unused: ' + prefix + '.' + name);
+        }
+    });
+
+    return { errors: errors, warnings: warnings };
+}
+
+function main(args) {
+    var files = args;
+    if (!files.length) {
+        files = fs.readdirSync(repo_dir).filter(function (file) {
+            return file.endsWith('.midi.xml');
+        }).map(function (file) {
+            return path.join(repo_dir, file);
+        });
+    }
+
+    var failed = false;
+    files.forEach(function (file) {
+        const result = check_preset(file);
+        console.log(path.basename(file) + ': ' + result.errors.length + ' error(s), ' + result.warnings.length + ' warning(s)');
+        result.errors.forEach(function (error) {
+            console.log('  error: ' + error);
+        });
+        result.warnings.forEach(function (warning) {
+            console.log('  warning: ' + warning);
+        });
+        failed = failed || result.errors.length > 0;
+    });
+
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    check_preset: check_preset,
+};
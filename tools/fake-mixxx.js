@@ -0,0 +1,384 @@
+// fake-mixxx.js
+// ****************************************************************************
+// * A fake Mixxx environment to run the DDJ-400 scripts headless, e.g. from
+// * the scenario tests in tests/ (run with: node --test tests/).
+// *
+// * const fake_mixxx = require('../tools/fake-mixxx.js');
+// * const mixxx = fake_mixxx.create();
+// * const P = mixxx.load_preset('Pioneer-DDJ-400-quirx-4D.midi.xml');
+// * P.init();
+// * mixxx.receive(0x90, 0x3F, 0x7F); // press SHIFT (DECK1)
+// * mixxx.advance(300);              // run the timers due within 300 ms
+// * mixxx.last_midi(0x97, 0x00);     // last value sent to hot cue pad 1
+// *
+// * What it fakes:
+// *   - engine: a control store (get/setValue, get/setParameter), connections
+// *     (makeConnection, disconnect, trigger), timers on a fake clock
+// *     (beginTimer, stopTimer, advance) and no-op scratching, brake, spinback
+// *     and softStart. Parameters are not normalized, they are stored as the
+// *     control value. Connections are called synchronously.
+// *     Controls named in options.missing_controls can not be connected to, like
+// *     controls that do not exist in the running Mixxx version. The same goes
+// *     for samplers above [App],num_samplers.
+// *   - options.controls sets control values before the script is loaded, e.g.
+// *     { '[App]': { num_samplers: 20 } }.
+// *   - Soft takeover is a no-op unless options.soft_takeover is true. Then a
+// *     value the script sets is ignored while it is more than
+// *     soft_takeover_threshold (on the value) away from the control's value,
+// *     unless the control's value lies between it and the previous value of
+// *     the script. softTakeoverIgnoreNextValue forgets the previous value.
+// *   - engine.getSetting returns options.settings[name].
+// *   - midi: sendShortMsg and sendSysexMsg are recorded in midi_log.
+// *   - script: toggleControl, absoluteNonLin and the regular expressions.
+// *   - Date.now returns the fake clock.
+// *   - receive() routes a message through the preset's <control>s like Mixxx
+// *     does: script bindings are called with (channel, control, value, status,
+// *     group), all other controls are only recorded in control_log.
+// ****************************************************************************
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Control values that differ from 0 in a fresh Mixxx.
+const default_controls = {
+    '[Master]': { num_decks: 4 },
+    '[App]': { num_samplers: 16 },
+    '[EffectRack1]': { num_effectunits: 2 },
+    '[EffectRack1_EffectUnit1]': { num_effectslots: 3 },
+    '[EffectRack1_EffectUnit2]': { num_effectslots: 3 },
+};
+
+// Distance of an ignored soft takeover value, 3/128 of the range of a -1..1 control like in Mixxx.
+const soft_takeover_threshold = 2 * 3 / 128;
+
+function tag_value(block, tag) {
+    const match = block.match(new RegExp('<' + tag + '>([\\s\\S]*?)</' + tag + '>'));
+    return match ? match[1].trim() : '';
+}
+
+function parse_preset(xml) {
+    // commented out controls are not loaded by Mixxx
+    const active_xml = xml.replace(/<!--[\s\S]*?-->/g, '');
+    const file_match = active_xml.match(/<file\s+functionprefix="([^"]*)"\s+filename="([^"]*)"/);
+    const controls = [];
+    const control_re = /<control>([\s\S]*?)<\/control>/g;
+    var match;
+
+    while ((match = control_re.exec(active_xml)) !== null) {
+        const block = match[1];
+        controls.push({
+            description: tag_value(block, 'description'),
+            group: tag_value(block, 'group'),
+            key: tag_value(block, 'key'),
+            status: parseInt(tag_value(block, 'status'), 16),
+            midino: parseInt(tag_value(block, 'midino'), 16),
+            script_binding: /<script-binding\s*\/>/i.test(block),
+        });
+    }
+
+    return {
+        function_prefix: file_match ? file_match[1] : null,
+        script_file: file_match ? file_match[2] : null,
+        controls: controls,
+    };
+}
+
+function to_hex(value) {
+    return '0x' + ('0' + value.toString(16).toUpperCase()).slice(-2);
+}
+
+function resolve(object, key_path) {
+    return key_path.split('.').reduce(function (obj, name) {
+        return (obj !== undefined && obj !== null) ? obj[name] : undefined;
+    }, object);
+}
+
+function create(options) {
+    options = options || {};
+
+    const mixxx = {
+        time: 1000000,
+        controls: {},
+        connections: [],
+        timers: {},
+        midi_log: [],
+        sysex_log: [],
+        control_log: [],
+        print_log: [],
+        preset: null,
+        script_object: null,
+        soft_takeover: {},
+    };
+    var next_timer_id = 1;
+
+    Object.keys(options.controls || {}).forEach(function (group) {
+        Object.keys(options.controls[group]).forEach(function (control) {
+            mixxx.controls[group + ',' + control] = options.controls[group][control];
+        });
+    });
+
+    function control_key(group, control) {
+        return group + ',' + control;
+    }
+
+    function get_value(group, control) {
+        const key = control_key(group, control);
+        if (mixxx.controls[key] !== undefined) {
+            return mixxx.controls[key];
+        }
+        if (default_controls[group] !== undefined && default_controls[group][control] !== undefined) {
+            return default_controls[group][control];
+        }
+        return 0;
+    }
+
+    function set_value(group, control, value) {
+        mixxx.controls[control_key(group, control)] = value;
+        mixxx.connections.filter(function (connection) {
+            return connection.connected && connection.group === group && connection.control === control;
+        }).forEach(function (connection) {
+            connection.callback(value, group, control);
+        });
+    }
+
+    function control_exists(group, control) {
+        const sampler = group.match(/^\[Sampler(\d+)\]$/);
+        if (sampler && parseInt(sampler[1], 10) > get_value('[App]', 'num_samplers')) {
+            return false;
+        }
+        return (options.missing_controls || []).indexOf(control) < 0;
+    }
+
+    function ignore_by_soft_takeover(group, control, value) {
+        const takeover = mixxx.soft_takeover[control_key(group, control)];
+        if (!options.soft_takeover || takeover === undefined || !takeover.enabled) {
+            return false;
+        }
+
+        const current = get_value(group, control);
+        const previous = takeover.previous;
+        takeover.previous = value;
+        if (Math.abs(value - current) <= soft_takeover_threshold) {
+            return false;
+        }
+        // the hardware control crossed the value since its previous value
+        return previous === undefined || (previous - current) * (value - current) > 0;
+    }
+
+    function script_set_value(group, control, value) {
+        if (!ignore_by_soft_takeover(group, control, value)) {
+            set_value(group, control, value);
+        }
+    }
+
+    function make_connection(group, control, callback) {
+        // like Mixxx, connecting to a control that does not exist fails
+        if (!control_exists(group, control)) {
+            return undefined;
+        }
+        const connection = {
+            group: group,
+            control: control,
+            callback: callback,
+            connected: true,
+            isConnected: true,
+            disconnect: function () {
+                connection.connected = false;
+                connection.isConnected = false;
+                return true;
+            },
+            trigger: function () {
+                callback(get_value(group, control), group, control);
+            },
+        };
+        mixxx.connections.push(connection);
+        return connection;
+    }
+
+    const engine = {
+        getValue: get_value,
+        setValue: script_set_value,
+        getParameter: get_value,
+        setParameter: script_set_value,
+        getSetting: function (name) {
+            return (options.settings || {})[name];
+        },
+        makeConnection: make_connection,
+        beginTimer: function (interval, callback, one_shot) {
+            const id = next_timer_id++;
+            mixxx.timers[id] = {
+                interval: interval,
+                callback: callback,
+                one_shot: !!one_shot,
+                due: mixxx.time + interval,
+            };
+            return id;
+        },
+        stopTimer: function (id) {
+            delete mixxx.timers[id];
+        },
+        softTakeover: function (group, control, enable) {
+            mixxx.soft_takeover[control_key(group, control)] = { enabled: !!enable, previous: undefined };
+        },
+        softTakeoverIgnoreNextValue: function (group, control) {
+            const takeover = mixxx.soft_takeover[control_key(group, control)];
+            if (takeover !== undefined) {
+                takeover.previous = undefined;
+            }
+        },
+        scratchEnable: function () {},
+        scratchDisable: function () {},
+        scratchTick: function () {},
+        isScratching: function () { return false; },
+        brake: function () {},
+        spinback: function () {},
+        softStart: function () {},
+    };
+
+    const midi = {
+        sendShortMsg: function (status, midino, value) {
+            mixxx.midi_log.push({ time: mixxx.time, status: status, midino: midino, value: value });
+        },
+        sendSysexMsg: function (data, length) {
+            mixxx.sysex_log.push({ time: mixxx.time, data: data.slice(0, length) });
+        },
+    };
+
+    const script = {
+        toggleControl: function (group, control) {
+            set_value(group, control, get_value(group, control) ? 0 : 1);
+        },
+        absoluteNonLin: function (value, low, mid, high, min, max) {
+            if (!min) { min = 0; }
+            if (!max) { max = 127; }
+            const center = (max - min) / 2;
+            var result;
+            if (value === center || value === Math.round(center)) {
+                result = mid;
+            } else if (value < center) {
+                result = low + (value / (center / (mid - low)));
+            } else {
+                result = mid + ((value - center) / (center / (high - mid)));
+            }
+            return Math.min(high, Math.max(low, result));
+        },
+        channelRegEx: /\[Channel(\d+)\]/,
+        samplerRegEx: /\[Sampler(\d+)\]/,
+    };
+
+    class FakeDate extends Date {
+        static now() {
+            return mixxx.time;
+        }
+    }
+
+    mixxx.engine = engine;
+    mixxx.midi = midi;
+    mixxx.script = script;
+    mixxx.get_value = get_value;
+    mixxx.set_value = set_value;
+
+    // Load a script file and return its object (default: PioneerDDJ400).
+    mixxx.load_script = function (script_path, function_prefix) {
+        function_prefix = function_prefix || 'PioneerDDJ400';
+        const context = vm.createContext({
+            engine: engine,
+            midi: midi,
+            script: script,
+            print: function (message) {
+                mixxx.print_log.push(String(message));
+            },
+            Date: FakeDate,
+        });
+        const source = fs.readFileSync(script_path, 'utf8');
+        vm.runInContext(source + '\nthis.' + function_prefix + ' = ' + function_prefix + ';', context, { filename: script_path });
+        mixxx.script_context = context;
+        mixxx.script_object = context[function_prefix];
+        mixxx.script_source = source;
+        return mixxx.script_object;
+    };
+
+    // Load a .midi.xml preset and its script and return the script object.
+    mixxx.load_preset = function (xml_path) {
+        mixxx.preset = parse_preset(fs.readFileSync(xml_path, 'utf8'));
+        return mixxx.load_script(path.join(path.dirname(xml_path), mixxx.preset.script_file), mixxx.preset.function_prefix);
+    };
+
+    // Handle an incoming message like Mixxx does with the loaded preset.
+    // Returns the number of <control>s the message matched.
+    mixxx.receive = function (status, midino, value) {
+        const controls = mixxx.preset.controls.filter(function (control) {
+            return control.status === status && control.midino === midino;
+        });
+        controls.forEach(function (control) {
+            if (!control.script_binding) {
+                mixxx.control_log.push({ time: mixxx.time, group: control.group, key: control.key, value: value });
+                return;
+            }
+            // called on the object that owns the function, like Mixxx does
+            const names = control.key.split('.');
+            const owner = resolve(mixxx.script_context, names.slice(0, -1).join('.'));
+            owner[names[names.length - 1]](status & 0x0F, midino, value, status, control.group);
+        });
+        return controls.length;
+    };
+
+    // Move the fake clock forward and run the timers that are due on the way.
+    mixxx.advance = function (ms) {
+        const end = mixxx.time + ms;
+        for (;;) {
+            var next_id = null;
+            Object.keys(mixxx.timers).forEach(function (id) {
+                if (mixxx.timers[id].due <= end && (next_id === null || mixxx.timers[id].due < mixxx.timers[next_id].due)) {
+                    next_id = id;
+                }
+            });
+            if (next_id === null) {
+                break;
+            }
+            const timer = mixxx.timers[next_id];
+            mixxx.time = timer.due;
+            if (timer.one_shot) {
+                delete mixxx.timers[next_id];
+            } else {
+                timer.due += Math.max(timer.interval, 1);
+            }
+            timer.callback();
+        }
+        mixxx.time = end;
+    };
+
+    // Last value sent to a LED, undefined if nothing was sent.
+    mixxx.last_midi = function (status, midino) {
+        for (var i = mixxx.midi_log.length - 1; i >= 0; i--) {
+            if (mixxx.midi_log[i].status === status && mixxx.midi_log[i].midino === midino) {
+                return mixxx.midi_log[i].value;
+            }
+        }
+        return undefined;
+    };
+
+    // Last value of every LED, keyed by "0xSS,0xMM" (status, midino).
+    mixxx.leds = function () {
+        const last = {};
+        mixxx.midi_log.forEach(function (message) {
+            last[to_hex(message.status) + ',' + to_hex(message.midino)] = message.value;
+        });
+        const leds = {};
+        Object.keys(last).sort().forEach(function (key) {
+            leds[key] = last[key];
+        });
+        return leds;
+    };
+
+    return mixxx;
+}
+
+module.exports = {
+    create: create,
+    parse_preset: parse_preset,
+    resolve: resolve,
+};
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// replay-session.js
+// ****************************************************************************
+// * Replays a recorded controller session against a fake Mixxx (see
+// * fake-mixxx.js) and compares the result to a snapshot.
+// *
+// * Usage: node tools/replay-session.js <preset.midi.xml> <session.log> [snapshot.json] [--update]
+// *
+// * Sessions are recorded in Mixxx by setting record_session (4-deck script) or
+// * PioneerDDJ400.recordSession (2-deck script) to true. Every incoming message
+// * is then printed as
+// *   DDJ-400 session: <ms since init> <status> <midino> <value>
+// * and the Mixxx log (or the part of it with these lines) is the session file.
+// * Only the controller input is recorded: the replay starts from a fresh fake
+// * Mixxx, so tracks, loops etc. of the recording session are not restored.
+// *
+// * The snapshot holds the preset name, all control values the script set and
+// * the last value of every LED after the replay. Without a snapshot file (or
+// * with --update), the snapshot is written. Otherwise, differences are printed
+// * and the exit code is 1.
+// ****************************************************************************
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const fake_mixxx = require('./fake-mixxx.js');
+
+// Time the timers get to run after the last message.
+const settle_time = 2000;
+
+function parse_session(text) {
+    const events = [];
+    const line_re = /DDJ-400 session: (\d+) (0x[0-9A-F]+) (0x[0-9A-F]+) (0x[0-9A-F]+)/i;
+
+    text.split('\n').forEach(function (line) {
+        const match = line.match(line_re);
+        if (match) {
+            events.push({
+                time: parseInt(match[1], 10),
+                status: parseInt(match[2], 16),
+                midino: parseInt(match[3], 16),
+                value: parseInt(match[4], 16),
+            });
+        }
+    });
+    return events;
+}
+
+function replay(preset_path, events) {
+    const mixxx = fake_mixxx.create();
+    const P = mixxx.load_preset(preset_path);
+    const start = mixxx.time;
+    P.init();
+
+    events.forEach(function (event) {
+        mixxx.advance(Math.max(0, start + event.time - mixxx.time));
+        mixxx.receive(event.status, event.midino, event.value);
+    });
+    mixxx.advance(settle_time);
+
+    const controls = {};
+    Object.keys(mixxx.controls).sort().forEach(function (key) {
+        controls[key] = mixxx.controls[key];
+    });
+    return {
+        preset: path.basename(preset_path),
+        controls: controls,
+        leds: mixxx.leds(),
+    };
+}
+
+function compare_snapshots(expected, actual) {
+    const differences = [];
+    ['controls', 'leds'].forEach(function (part) {
+        const keys = Object.keys(Object.assign({}, expected[part], actual[part])).sort();
+        keys.forEach(function (key) {
+            if (expected[part][key] !== actual[part][key]) {
+                differences.push(part + ' ' + key + ': expected ' + expected[part][key] + ', got ' + actual[part][key]);
+            }
+        });
+    });
+    return differences;
+}
+
+function main(args) {
+    const update = args.indexOf('--update') >= 0;
+    const files = args.filter(function (arg) {
+        return arg !== '--update';
+    });
+    if (files.length < 2) {
+        console.log('Usage: node tools/replay-session.js <preset.midi.xml> <session.log> [snapshot.json] [--update]');
+        return 2;
+    }
+
+    const session_path = files[1];
+    const snapshot_path = files[2] || session_path.replace(/\.[^.\/]*$/, '') + '.json';
+    const events = parse_session(fs.readFileSync(session_path, 'utf8'));
+    const actual = replay(files[0], events);
+    console.log(path.basename(session_path) + ': replayed ' + events.length + ' message(s)');
+
+    if (update || !fs.existsSync(snapshot_path)) {
+        fs.writeFileSync(snapshot_path, JSON.stringify(actual, null, 4) + '\n');
+        console.log('snapshot written to ' + snapshot_path);
+        return 0;
+    }
+
+    const differences = compare_snapshots(JSON.parse(fs.readFileSync(snapshot_path, 'utf8')), actual);
+    differences.forEach(function (difference) {
+        console.log('  ' + difference);
+    });
+    console.log(differences.length ? differences.length + ' difference(s) to ' + snapshot_path : 'matches ' + snapshot_path);
+    return differences.length ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    parse_session: parse_session,
+    replay: replay,
+    compare_snapshots: compare_snapshots,
+};